@@ -1,4 +1,12 @@
-import { useState, useMemo, useCallback, useRef, useEffect } from "react";
+import { useState, useMemo, useCallback, useRef, useEffect, useId, useDeferredValue } from "react";
+import typicalRules from "./rules/typical.json";
+import bengaluruRules from "./rules/bengaluru.json";
+import hyderabadRules from "./rules/hyderabad.json";
+import chennaiRules from "./rules/chennai.json";
+import strictVastu from "./vastu/strict.json";
+import moderateVastu from "./vastu/moderate.json";
+import modernVastu from "./vastu/modern.json";
+import vastuRemedies from "./vastu/remedies.json";
 
 // ═══════════════════════════════════════════════════════════
 // VASTUPLAN v2 — Production-Grade Vastu Floor Plan Generator
@@ -6,16 +14,81 @@ import { useState, useMemo, useCallback, useRef, useEffect } from "react";
 
 // ─── CONSTANTS ───
 const VASTU_ZONES = {
-  NE: { label: "Ishanya", element: "Water", deity: "Shiva", ideal: ["pooja", "living", "entrance_N", "entrance_E"] },
-  E:  { label: "Purva", element: "Sun", deity: "Indra", ideal: ["entrance", "living", "balcony"] },
-  SE: { label: "Agneya", element: "Fire", deity: "Agni", ideal: ["kitchen"] },
-  S:  { label: "Dakshina", element: "Earth", deity: "Yama", ideal: ["dining", "store"] },
-  SW: { label: "Nairutya", element: "Earth", deity: "Nirrti", ideal: ["master_bed", "staircase", "overhead_tank"] },
-  W:  { label: "Paschima", element: "Water", deity: "Varuna", ideal: ["dining", "children_bed", "store"] },
-  NW: { label: "Vayavya", element: "Air", deity: "Vayu", ideal: ["toilet", "guest_bed", "garage"] },
-  N:  { label: "Uttara", element: "Water", deity: "Kubera", ideal: ["living", "entrance", "balcony"] },
+  NE: { label: "Ishanya", element: "Water", deity: "Shiva" },
+  E:  { label: "Purva", element: "Sun", deity: "Indra" },
+  SE: { label: "Agneya", element: "Fire", deity: "Agni" },
+  S:  { label: "Dakshina", element: "Earth", deity: "Yama" },
+  SW: { label: "Nairutya", element: "Earth", deity: "Nirrti" },
+  W:  { label: "Paschima", element: "Water", deity: "Varuna" },
+  NW: { label: "Vayavya", element: "Air", deity: "Vayu" },
+  N:  { label: "Uttara", element: "Water", deity: "Kubera" },
+  C:  { label: "Brahmasthan", element: "Space", deity: "Brahma" },
 };
 
+// Vastu rulebooks: where each room belongs, one file per school in
+// src/vastu. A profile is
+//   id, name, note  identification, and a line on whose reading it is
+//   rooms           [{ room, name, weight, ideal, acceptable, forbidden,
+//                   remedy }]: `room` is a room type, the
+//                   three lists are zones of VASTU_ZONES (ideal scores the
+//                   full weight, acceptable 60%, forbidden costs half the
+//                   weight, any other zone nothing) and `remedy` is advice
+//                   for a room out of its zones
+const VASTU_PROFILES = Object.fromEntries([moderateVastu, strictVastu, modernVastu].map(p => [p.id, p]));
+
+// Every room a profile may check, with its name, weight and remedy from
+// the first profile that has it, for custom rulebooks
+const VASTU_ROOMS = Object.fromEntries([...Object.values(VASTU_PROFILES)].reverse().flatMap(p => p.rooms.map(r => [r.room, r])));
+
+// A rulebook's rooms as the scoring expects them: known rooms only, zones
+// known and in one list each, weights between 0 and 50. Null when `list`
+// isn't a list.
+function vastuRoomsOf(list) {
+  if (!Array.isArray(list)) return null;
+  const zones = (v, taken = []) => (Array.isArray(v) ? [...new Set(v)].filter(z => VASTU_ZONES[z] && !taken.includes(z)) : []);
+  return list.filter(r => r && VASTU_ROOMS[r.room]).map(r => {
+    const known = VASTU_ROOMS[r.room];
+    const ideal = zones(r.ideal);
+    const acceptable = zones(r.acceptable, ideal);
+    return {
+      room: r.room, name: typeof r.name === "string" && r.name ? r.name : known.name,
+      weight: Number.isFinite(r.weight) ? Math.min(50, Math.max(0, r.weight)) : known.weight,
+      ideal, acceptable, forbidden: zones(r.forbidden, [...ideal, ...acceptable]),
+      remedy: typeof r.remedy === "string" ? r.remedy : known.remedy,
+    };
+  });
+}
+
+// The config's Vastu profile; a custom one is its own rooms, or the
+// default profile's until any are edited
+function vastuProfileOf(config) {
+  if (config.vastuProfile !== "custom") return VASTU_PROFILES[config.vastuProfile] || VASTU_PROFILES.moderate;
+  return {
+    id: "custom", name: "Custom", note: "Zones, weights and remedies set by hand in the configurator.",
+    rooms: vastuRoomsOf(config.customVastu) || VASTU_PROFILES.moderate.rooms,
+  };
+}
+
+// Remedies (dosha corrections) short of rebuilding, keyed by defect:
+// "kitchen:NE" for a room type in a zone, "entrance:S" for a facing,
+// "pada:bad", "brahmasthan:toilet", "corner:SW", "shape:NE-cut" and so on.
+// Each has a title and [{ kind, text }], `kind` being colour, pyramid,
+// strip, direction, mirror, placement, plant or light.
+const VASTU_REMEDIES = vastuRemedies;
+const remediesFor = (defect) => VASTU_REMEDIES[defect]?.remedies || [];
+
+// Points of a score breakdown row, to one decimal where needed
+const vastuPoints = (n) => String(Math.round(n * 10) / 10);
+
+// How the configurator marks a custom rule's zones
+const VASTU_MARK_COLORS = { ideal: "#6b9f71", acceptable: "#d4a574", forbidden: "#c46b5b" };
+
+// "Kitchen in SE (Agneya)", "Living Room in NE/N/E"
+function vastuRuleLabel(rule) {
+  const zones = rule.ideal.join("/") || "no set zone";
+  return `${rule.name} in ${zones}${rule.ideal.length === 1 ? ` (${VASTU_ZONES[rule.ideal[0]].label})` : ""}`;
+}
+
 const MIN_ROOM_SIZES = {
   master_bed: { w: 10, h: 10, label: "Master Bedroom" },
   bedroom: { w: 9, h: 9, label: "Bedroom" },
@@ -34,552 +107,2862 @@ const MIN_ROOM_SIZES = {
   family_hall: { w: 8, h: 7, label: "Family Hall / Lobby" },
 };
 
+// The eight facings, with the compass bearing (degrees clockwise from
+// North) the road side faces
 const FACING_META = {
-  E: { label: "East", icon: "☀️", arrow: "→", vastuRank: 1, desc: "Most auspicious — morning sun blesses the entrance" },
-  N: { label: "North", icon: "💰", arrow: "↑", vastuRank: 2, desc: "Lord Kubera's direction — attracts prosperity" },
-  W: { label: "West", icon: "🌅", arrow: "←", vastuRank: 3, desc: "Acceptable with proper Vastu corrections" },
-  S: { label: "South", icon: "🔥", arrow: "↓", vastuRank: 4, desc: "Needs careful planning — heavier construction in South" },
+  NE: { label: "North-East", icon: "✨", arrow: "↗", bearing: 45, vastuRank: 1, desc: "Ishanya — the most sacred corner faces the road; light and prosperity" },
+  E: { label: "East", icon: "☀️", arrow: "→", bearing: 90, vastuRank: 2, desc: "Most auspicious — morning sun blesses the entrance" },
+  N: { label: "North", icon: "💰", arrow: "↑", bearing: 0, vastuRank: 3, desc: "Lord Kubera's direction — attracts prosperity" },
+  NW: { label: "North-West", icon: "🌬️", arrow: "↖", bearing: 315, vastuRank: 4, desc: "Vayavya — good for trade and movement; keep the door towards North" },
+  W: { label: "West", icon: "🌅", arrow: "←", bearing: 270, vastuRank: 5, desc: "Acceptable with proper Vastu corrections" },
+  SE: { label: "South-East", icon: "⚡", arrow: "↘", bearing: 135, vastuRank: 6, desc: "Agneya — workable with the door towards South" },
+  S: { label: "South", icon: "🔥", arrow: "↓", bearing: 180, vastuRank: 7, desc: "Needs careful planning — heavier construction in South" },
+  SW: { label: "South-West", icon: "⛰️", arrow: "↙", bearing: 225, vastuRank: 8, desc: "Nairutya — least favoured; door towards West, build heavy and high" },
 };
 
+// Plot side limits the configurator accepts, in feet
+const PLOT_LIMITS = { min: 18, max: 80 };
+
+// Room program limits the configurator's counters enforce
+const FLOOR_LIMITS = { min: 1, max: 3 };
+const maxBedrooms = (floors) => (floors === 1 ? 2 : floors === 2 ? 4 : 6);
+const maxBathrooms = (bedrooms) => bedrooms + 1;
+
+const DEFAULT_CONFIG = {
+  plotWidth: 30, plotDepth: 30, facing: "E", bearing: null, floors: 2,
+  bedrooms: 3, bathrooms: 3,
+  hasPooja: true, hasBalcony: true, hasParking: false, hasStore: true,
+  units: "imperial", areaUnit: null,
+  rules: "typical", roadWidth: 30, cornerRoad: "none", sideRoadWidth: 30, entranceRoad: "main", customRules: null, plotShape: null,
+  vastuProfile: "moderate", customVastu: null,
+  maxSpan: 14,
+};
+
+// ─── UNITS ───
+// The engine lays rooms out in whole steps of a square grid, so walls meet
+// exactly. A unit system sets the grid step (in feet) and how lengths and
+// areas are written. Config plot sizes and MIN_ROOM_SIZES stay in feet.
+const M_PER_FT = 0.3048;
+
+function feetInches(ft) {
+  const inches = Math.round(Math.abs(ft) * 12);
+  const sign = ft < 0 && inches ? "-" : "";
+  return inches % 12 ? `${sign}${Math.floor(inches / 12)}'-${inches % 12}"` : `${sign}${inches / 12}'`;
+}
+
+// perFoot: display units per foot; sqftPerArea: square feet per area unit
+const UNIT_SYSTEMS = {
+  imperial: {
+    key: "imperial", label: "Feet & inches", unit: "ft", step: 1, perFoot: 1, areaUnit: "sqft", sqftPerArea: 1,
+    length: feetInches,
+    area: (sqft) => `${Math.round(sqft)} sqft`,
+  },
+  metric: {
+    key: "metric", label: "Metres", unit: "m", step: 0.15 / M_PER_FT, perFoot: M_PER_FT, areaUnit: "m²", sqftPerArea: 1 / (M_PER_FT * M_PER_FT),
+    length: (ft) => `${(ft * M_PER_FT).toFixed(2)}m`,
+    area: (sqft) => `${(sqft * M_PER_FT * M_PER_FT).toFixed(1)} m²`,
+  },
+};
+
+// Area units that can stand in for a unit system's own: plots in much of
+// India are bought and sold by the square yard
+const AREA_UNITS = {
+  sqyd: { areaUnit: "sq yd", sqftPerArea: 9, area: (sqft) => `${(sqft / 9).toFixed(1)} sq yd` },
+};
+
+// Unit system by key, writing areas in `areaUnit` (a key of AREA_UNITS) when
+// given; configs and plans saved before units existed are imperial
+const unitsOf = (key, areaUnit) => {
+  const units = UNIT_SYSTEMS[key] || UNIT_SYSTEMS.imperial;
+  return AREA_UNITS[areaUnit] ? { ...units, ...AREA_UNITS[areaUnit] } : units;
+};
+const toSteps = (ft, units) => Math.round(ft / units.step);
+
+// A room's size and floor area on the planning grid, to wall centres
+const roomSize = (r, units) => `${units.length(r.w * units.step)} × ${units.length(r.h * units.step)}`;
+const roomArea = (r, units) => units.area(r.w * r.h * units.step * units.step);
+
+// ─── WALLS ───
+// External walls are 9" and internal walls 4.5", in feet here. Rooms are
+// planned to wall centres inside the building and to the outer face along
+// its edge, so a room's clear internal size is its grid size less the
+// whole external wall and half of each internal one. Open areas have no
+// walls of their own.
+const WALL_THICKNESS = { external: 0.75, internal: 0.375 };
+
+// Wall taken off each side of a room, in feet
+function wallInsets(r, plan) {
+  if (r.isOpen) return { left: 0, right: 0, top: 0, bottom: 0 };
+  const wall = (atEdge) => (atEdge ? WALL_THICKNESS.external : WALL_THICKNESS.internal / 2);
+  return { left: wall(r.x === 0), right: wall(r.x + r.w === plan.bW), top: wall(r.y === 0), bottom: wall(r.y + r.h === plan.mainD) };
+}
+
+// Clear internal size in feet, as text, and as carpet area in square feet
+function clearSize(r, plan) {
+  const { step } = unitsOf(plan.units);
+  const inset = wallInsets(r, plan);
+  return { w: Math.max(0, r.w * step - inset.left - inset.right), h: Math.max(0, r.h * step - inset.top - inset.bottom) };
+}
+const clearRoomSize = (r, plan, units) => {
+  const { w, h } = clearSize(r, plan);
+  return `${units.length(w)} × ${units.length(h)}`;
+};
+const carpetArea = (r, plan) => {
+  const { w, h } = clearSize(r, plan);
+  return w * h;
+};
+
+// ─── MUNICIPAL RULES ───
+// Rule sets are data files in src/rules, with lengths in metres and areas
+// in square metres as bye-laws write them:
+//   bands           by plot area, smallest first: { upTo (m², null for the
+//                   rest), front, rear, side, coverage (0-1), far } — a
+//                   null coverage or far means no limit
+//   roadFront       [{ minRoadWidth, front }]: a wider road raises the
+//                   front setback to at least `front`
+//   sidesFromWidth  plots narrower than this have no side setbacks
+//   cornerSide      setback on the side facing a second road; null means
+//                   the front setback for that road's width
+//   counted         { balcony, porch, terrace, parking }: share (0-1) of each
+//                   open area that counts towards built-up area and FAR
+//   maxHeight       building height limit, or null
+const RULE_SETS = Object.fromEntries([typicalRules, bengaluruRules, hyderabadRules, chennaiRules].map(r => [r.id, r]));
+
+// Starting values for the configurator's custom rule set, in metres; the
+// two counted shares are fractions
+const DEFAULT_CUSTOM_RULES = { front: 1.5, rear: 1, side: 1, sidesFromWidth: 0, cornerSide: 1.5, coverage: 0.7, far: 1.75, maxHeight: 12, balconyCounted: 0.5, porchCounted: 0 };
+
+// Road widths the configurator accepts, in feet
+const ROAD_LIMITS = { min: 10, max: 100 };
+
+// Storey height used for building height (and the plans' level marks), in metres
+const STOREY_HEIGHT = 3;
+
+function ruleSetOf(config) {
+  if (config.rules !== "custom") return RULE_SETS[config.rules] || RULE_SETS.typical;
+  const c = { ...DEFAULT_CUSTOM_RULES, ...config.customRules };
+  return {
+    id: "custom", name: "Custom rules", note: "Entered by hand in the configurator.",
+    bands: [{ upTo: null, front: c.front, rear: c.rear, side: c.side, coverage: c.coverage, far: c.far }],
+    roadFront: [], sidesFromWidth: c.sidesFromWidth, cornerSide: c.cornerSide, maxHeight: c.maxHeight,
+    counted: { balcony: c.balconyCounted, porch: c.porchCounted },
+  };
+}
+
+// What the config's rule set asks of its plot: setbacks in drawing terms
+// (left and right as seen from the road) and height in feet, coverage and
+// FAR as plain numbers, null where there is no limit; `counted` has a
+// share for every kind of open area
+function plotRules(config) {
+  const rules = ruleSetOf(config);
+  const widthM = config.plotWidth * M_PER_FT;
+  const area = plotAreaOf(config) * M_PER_FT * M_PER_FT;
+  const band = rules.bands.find(b => b.upTo == null || area <= b.upTo) || rules.bands[rules.bands.length - 1];
+  // Each road side takes the front setback for its own road's width
+  const frontFor = (roadFt) => Math.max(band.front, ...rules.roadFront.filter(r => roadFt * M_PER_FT >= r.minRoadWidth).map(r => r.front));
+  const front = frontFor(config.roadWidth ?? DEFAULT_CONFIG.roadWidth);
+  const side = widthM >= (rules.sidesFromWidth || 0) ? band.side : 0;
+  const corner = Math.max(side, rules.cornerSide ?? frontFor(config.sideRoadWidth ?? DEFAULT_CONFIG.sideRoadWidth));
+  return {
+    id: rules.id, name: rules.name, note: rules.note,
+    setback: {
+      front: front / M_PER_FT,
+      rear: band.rear / M_PER_FT,
+      left: (config.cornerRoad === "left" ? corner : side) / M_PER_FT,
+      right: (config.cornerRoad === "right" ? corner : side) / M_PER_FT,
+    },
+    coverage: band.coverage ?? null,
+    far: band.far ?? null,
+    maxHeight: rules.maxHeight != null ? rules.maxHeight / M_PER_FT : null,
+    counted: { balcony: 0, porch: 0, terrace: 0, parking: 0, ...rules.counted },
+  };
+}
+
+// ─── PLOT SHAPE ───
+// Plots that aren't rectangles carry `plotShape`, entered as either
+//   { mode: "corners", corners: [[x, y], ...] }   feet from the road-side
+//       left corner, x along the road and y away from it, listed from that
+//       corner along the road first and on round the plot
+//   { mode: "sides", sides: [...], diagonals: [...] }   side lengths in the
+//       same order, the first along the road, and the diagonals from the
+//       road-side left corner to the third corner onwards
+// plotWidth and plotDepth then hold the shape's bounding box.
+const SHAPE_CORNERS = { min: 3, max: 8 };
+
+// Corners of a sides-and-diagonals survey, laying out each triangle of the
+// fan from the first corner in turn. null when the lengths don't close.
+function cornersFromSides(sides, diagonals) {
+  const n = sides.length;
+  if (n < SHAPE_CORNERS.min || diagonals.length !== n - 3) return null;
+  const corners = [[0, 0], [sides[0], 0]];
+  for (let k = 2; k < n; k++) {
+    const fromFirst = k === n - 1 ? sides[n - 1] : diagonals[k - 2];
+    const fromLast = sides[k - 1];
+    const [px, py] = corners[k - 1];
+    const d = Math.hypot(px, py);
+    if (!(fromFirst > 0 && fromLast > 0 && d > 0) || d > fromFirst + fromLast + 1e-9 || d < Math.abs(fromFirst - fromLast) - 1e-9) return null;
+    const along = (fromFirst * fromFirst - fromLast * fromLast + d * d) / (2 * d);
+    const off = Math.sqrt(Math.max(0, fromFirst * fromFirst - along * along));
+    const [ux, uy] = [px / d, py / d];
+    corners.push([along * ux - off * uy, along * uy + off * ux]); // left of the diagonal, into the plot
+  }
+  return corners;
+}
+
+const shapeCorners = (shape) => (shape.mode === "sides" ? cornersFromSides(shape.sides || [], shape.diagonals || []) : shape.corners);
+
+// What is wrong with a shape as entered, or null when it describes a plot
+function plotShapeProblem(shape) {
+  const corners = shapeCorners(shape);
+  if (!corners) return "The sides and diagonals don't meet up — check the lengths";
+  if (corners.length < SHAPE_CORNERS.min || corners.length > SHAPE_CORNERS.max) return `A plot needs ${SHAPE_CORNERS.min} to ${SHAPE_CORNERS.max} corners`;
+  const [[ax, ay], [bx, by]] = corners;
+  if (ay !== by || bx <= ax || corners.some(([, y]) => y < ay)) return "The first side runs along the road, left to right, with the plot behind it";
+  const edges = corners.map((c, i) => [...c, ...corners[(i + 1) % corners.length]]);
+  const crosses = (e, f) => {
+    const side = (x1, y1, x2, y2, x, y) => Math.sign((x2 - x1) * (y - y1) - (y2 - y1) * (x - x1));
+    return side(...e, f[0], f[1]) * side(...e, f[2], f[3]) < 0 && side(...f, e[0], e[1]) * side(...f, e[2], e[3]) < 0;
+  };
+  if (edges.some((e, i) => edges.some((f, j) => j > i + 1 && !(i === 0 && j === edges.length - 1) && crosses(e, f)))) return "The sides cross — list the corners in order round the plot";
+  const xs = corners.map(c => c[0]);
+  const ys = corners.map(c => c[1]);
+  const [w, d] = [Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)];
+  if (w < PLOT_LIMITS.min || d < PLOT_LIMITS.min || w > PLOT_LIMITS.max || d > PLOT_LIMITS.max) return `The plot must measure ${PLOT_LIMITS.min}–${PLOT_LIMITS.max} ft each way`;
+  return null;
+}
+
+// Whether a shape read from outside (a link or a project file) is well
+// formed, with finite numbers where the mode wants them, and describes a plot
+function plotShapeValid(shape) {
+  if (!shape || typeof shape !== "object") return false;
+  const numbers = (v) => Array.isArray(v) && v.every(Number.isFinite);
+  const formed = shape.mode === "corners"
+    ? Array.isArray(shape.corners) && shape.corners.every(c => numbers(c) && c.length === 2)
+    : shape.mode === "sides" && numbers(shape.sides) && numbers(shape.diagonals);
+  return formed && !plotShapeProblem(shape);
+}
+
+// The config's plot as a polygon in feet in the drawing frame (x left →
+// right, y from the rear boundary towards the road), with its bounding
+// box, area, and the setback each side takes: front for the road side,
+// rear for sides facing away from the road, left or right for the rest.
+// null for a rectangular plot or a shape with a problem.
+function plotOutline(config) {
+  const shape = config.plotShape;
+  if (!shape || plotShapeProblem(shape)) return null;
+  const corners = shapeCorners(shape);
+  const minX = Math.min(...corners.map(c => c[0]));
+  const width = Math.max(...corners.map(c => c[0])) - minX;
+  const depth = Math.max(...corners.map(c => c[1])) - corners[0][1];
+  const points = corners.map(([x, y]) => [x - minX, depth - (y - corners[0][1])]);
+  const edges = points.map(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    // Outward normal, with y turned back to point away from the road
+    const len = Math.hypot(x2 - x1, y2 - y1);
+    const [nx, ny] = [(y1 - y2) / len, (x1 - x2) / len];
+    const kind = i === 0 ? "front"
+      : ny > Math.abs(nx) ? "rear"
+        : (Math.abs(nx) > 1e-9 ? nx < 0 : (x1 + x2) / 2 < width / 2) ? "left" : "right";
+    return { x1, y1, x2, y2, len, kind };
+  });
+  const area = Math.abs(points.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    return sum + x1 * y2 - x2 * y1;
+  }, 0)) / 2;
+  return { points, edges, width, depth, area };
+}
+
+// Plot area in square feet, whatever its shape
+const plotAreaOf = (config) => plotOutline(config)?.area ?? config.plotWidth * config.plotDepth;
+
+// The config with a new plot shape (null for a rectangle), its bounding
+// box kept in plotWidth and plotDepth while the shape is valid
+function withPlotShape(config, shape) {
+  const next = { ...config, plotShape: shape };
+  const outline = plotOutline(next);
+  if (!outline) return next;
+  return { ...next, plotWidth: Math.round(outline.width * 100) / 100, plotDepth: Math.round(outline.depth * 100) / 100 };
+}
+
+// A shape entered either way through the given corners (as in "corners" mode)
+function shapeThrough(mode, corners) {
+  const round = (v) => Math.round(v * 100) / 100;
+  if (mode === "corners") return { mode, corners: corners.map(c => c.map(round)) };
+  const dist = ([x1, y1], [x2, y2]) => round(Math.hypot(x2 - x1, y2 - y1));
+  return {
+    mode,
+    sides: corners.map((c, i) => dist(c, corners[(i + 1) % corners.length])),
+    diagonals: corners.slice(2, -1).map(c => dist(corners[0], c)),
+  };
+}
+
+// The config's current plot, rectangle or shape, entered the given way
+function shapeAs(config, mode) {
+  const outline = plotOutline(config);
+  return shapeThrough(mode, outline
+    ? outline.points.map(([x, y]) => [x, outline.depth - y])
+    : [[0, 0], [config.plotWidth, 0], [config.plotWidth, config.plotDepth], [0, config.plotDepth]]);
+}
+
+// ─── Plot geometry ───
+// Rectangles are [x0, y0, x1, y1] in feet, in the outline's frame.
+
+// Whether a segment passes through the inside of a rectangle (Liang–Barsky)
+function segmentCrossesRect([x1, y1, x2, y2], [rx0, ry0, rx1, ry1]) {
+  const e = 1e-7;
+  let t0 = 0;
+  let t1 = 1;
+  const [dx, dy] = [x2 - x1, y2 - y1];
+  for (const [p, q] of [[-dx, x1 - rx0 - e], [dx, rx1 - e - x1], [-dy, y1 - ry0 - e], [dy, ry1 - e - y1]]) {
+    if (p === 0) {
+      if (q < 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) t0 = Math.max(t0, t);
+    else t1 = Math.min(t1, t);
+    if (t0 > t1) return false;
+  }
+  return true;
+}
+
+// Shortest distance between a segment and a rectangle it doesn't cross
+function segmentRectGap([x1, y1, x2, y2], [rx0, ry0, rx1, ry1]) {
+  const toRect = (x, y) => Math.hypot(Math.max(rx0 - x, 0, x - rx1), Math.max(ry0 - y, 0, y - ry1));
+  const toSegment = (x, y) => {
+    const [dx, dy] = [x2 - x1, y2 - y1];
+    const t = Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy || 1)));
+    return Math.hypot(x - x1 - t * dx, y - y1 - t * dy);
+  };
+  return Math.min(toRect(x1, y1), toRect(x2, y2), toSegment(rx0, ry0), toSegment(rx1, ry0), toSegment(rx0, ry1), toSegment(rx1, ry1));
+}
+
+function pointInOutline({ points }, x, y) {
+  let inside = false;
+  points.forEach(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+    if ((y1 > y) !== (y2 > y) && x < x1 + ((y - y1) * (x2 - x1)) / (y2 - y1)) inside = !inside;
+  });
+  return inside;
+}
+
+// Whether a rectangle lies inside the plot, at least `clearance(edge)`
+// feet from each side
+function rectInOutline(outline, rect, clearance = () => 0) {
+  if (!pointInOutline(outline, (rect[0] + rect[2]) / 2, (rect[1] + rect[3]) / 2)) return false;
+  return outline.edges.every(e => {
+    const seg = [e.x1, e.y1, e.x2, e.y2];
+    return !segmentCrossesRect(seg, rect) && segmentRectGap(seg, rect) >= clearance(e) - 1e-9;
+  });
+}
+
+// Largest building rectangle on the planning grid that keeps every side's
+// setback (`edge.setback`, feet), as offsets in grid steps from the
+// bounding box like a rectangular plot's setbacks. Every layout pass over
+// a config asks, so the last answer is kept.
+let buildableMemo = { key: null, value: null };
+function buildableRect(plot, units) {
+  const key = JSON.stringify([plot.points, plot.edges.map(e => e.setback), units.key]);
+  if (buildableMemo.key === key) return buildableMemo.value;
+  const pw = toSteps(plot.width, units);
+  const pd = toSteps(plot.depth, units);
+  const s = units.step;
+  // Largest rectangle of buildable cells, row by row over column heights;
+  // of equal areas the one nearest the road wins
+  const heights = new Array(pw).fill(0);
+  let best = { area: 0, x: 0, y: 0, w: 0, h: 0 };
+  for (let j = 0; j < pd; j++) {
+    for (let i = 0; i < pw; i++) {
+      heights[i] = rectInOutline(plot, [i * s, j * s, (i + 1) * s, (j + 1) * s], e => e.setback) ? heights[i] + 1 : 0;
+    }
+    const stack = [];
+    for (let i = 0; i <= pw; i++) {
+      const h = i < pw ? heights[i] : 0;
+      let start = i;
+      while (stack.length && stack[stack.length - 1].h >= h) {
+        const top = stack.pop();
+        const area = top.h * (i - top.start);
+        if (area > best.area || (area === best.area && area > 0 && j > best.y + best.h - 1)) best = { area, x: top.start, y: j - top.h + 1, w: i - top.start, h: top.h };
+        start = top.start;
+      }
+      stack.push({ start, h });
+    }
+  }
+  const value = { left: best.x, right: pw - best.x - best.w, rear: best.y, front: pd - best.y - best.h };
+  buildableMemo = { key, value };
+  return value;
+}
+
+// Vastu reading of the plot's corners: each corner third of the bounding
+// box that the plot leaves noticeably empty is cut, and a full corner
+// between two cut ones is extended. Returns [{ zone, state }] with state
+// "cut", "extended" or "full", corners in compass terms.
+function plotCorners(outline, bearing) {
+  const cells = [[0, 0], [1, 0], [1, 1], [0, 1]]; // drawing frame, clockwise from top-left
+  const coverage = cells.map(([cx, cy]) => {
+    let hits = 0;
+    for (let i = 0; i < 10; i++) {
+      for (let j = 0; j < 10; j++) {
+        const x = ((cx * 2 + (i + 0.5) / 10) * outline.width) / 3;
+        const y = ((cy * 2 + (j + 0.5) / 10) * outline.depth) / 3;
+        if (pointInOutline(outline, x, y)) hits++;
+      }
+    }
+    return hits / 100;
+  });
+  const cut = coverage.map(c => c < 0.75);
+  return cells.map(([cx, cy], i) => ({
+    zone: zoneAt(bearing, cx, cy),
+    state: cut[i] ? "cut" : cut[(i + 1) % 4] && cut[(i + 3) % 4] ? "extended" : "full",
+  }));
+}
+
+// ─── ORIENTATION ───
+// A plot faces one of the eight FACING_META directions, or sits at its own
+// compass `bearing` (degrees clockwise from North) with `facing` then the
+// nearest of the eight.
+const plotBearing = (config) => config.bearing ?? FACING_META[config.facing].bearing;
+
+// Smallest angle between two bearings, 0-180
+const angleGap = (a, b) => Math.abs(((((a - b) % 360) + 540) % 360) - 180);
+
+// Nearest of the eight facings to a bearing
+const facingOf = (bearing) => Object.keys(FACING_META)
+  .reduce((best, k) => (angleGap(FACING_META[k].bearing, bearing) < angleGap(FACING_META[best].bearing, bearing) ? k : best));
+
+// Whether a bearing is nearer a diagonal facing than a cardinal one
+const isDiagonal = (bearing) => FACING_META[facingOf(bearing)].bearing % 90 !== 0;
+
+// Cardinal facing the room template is planned for: the nearest one, or
+// for a diagonal plot the one 45° anticlockwise of its facing, so the
+// template's North side faces NE, its East side SE, and so on round
+function templateFacing(bearing) {
+  const facing = facingOf(bearing);
+  return isDiagonal(bearing) ? facingOf(FACING_META[facing].bearing - 45) : facing;
+}
+
+// A bearing by name: "North-East" on the eight directions, otherwise in
+// quadrant notation, e.g. "N 17° E"
+function bearingName(bearing) {
+  const b = ((Math.round(bearing) % 360) + 360) % 360;
+  const named = Object.values(FACING_META).find(meta => meta.bearing === b);
+  if (named) return named.label;
+  const [from, off, to] = b < 90 ? ["N", b, "E"] : b < 180 ? ["S", 180 - b, "E"] : b < 270 ? ["S", b - 180, "W"] : ["N", 360 - b, "W"];
+  return `${from} ${off}° ${to}`;
+}
+
+// Compass names of the drawing's four sides, marking a side road
+const dirLabelsFor = (bearing, cornerRoad = "none") => ({
+  top: `${bearingName(bearing + 180).toUpperCase()} (Rear)`,
+  bottom: `${bearingName(bearing).toUpperCase()} (Road)`,
+  left: `${bearingName(bearing + 90).toUpperCase()}${cornerRoad === "left" ? " (Road)" : ""}`,
+  right: `${bearingName(bearing + 270).toUpperCase()}${cornerRoad === "right" ? " (Road)" : ""}`,
+});
+
+// Drawing-frame axes in compass terms, as [east, north] unit vectors.
+// Plans are drawn with the road at the bottom: x runs left → right and
+// y runs rear → road, so both axes turn with the bearing — a rotation,
+// never a mirror, so the compass rose can turn to true North.
+function frameAxes(bearing) {
+  const rad = (bearing * Math.PI) / 180;
+  const tidy = (v) => Math.round(v * 1e9) / 1e9 || 0;
+  const y = [tidy(Math.sin(rad)), tidy(Math.cos(rad))];
+  return { x: [-y[1] || 0, y[0]], y };
+}
+
+// ─── CORNER PLOTS ───
+// A second road runs along the plot's left or right side (`cornerRoad`, as
+// seen from the main road), `sideRoadWidth` wide. `entranceRoad` says
+// which road takes the main door: "main", or "side", in which case the
+// plot is planned turned so the side road is at the bottom of the drawing.
+const hasSideRoad = (config) => config.cornerRoad === "left" || config.cornerRoad === "right";
+
+// Bearing the side road faces, or null without one
+const sideRoadBearing = (config) => (hasSideRoad(config)
+  ? (plotBearing(config) + (config.cornerRoad === "left" ? 90 : 270)) % 360
+  : null);
+
+// The config the engine plans: as given, or with the main door on the side
+// road, turned so that road is the main one and the main road the side
+// one. A shaped plot turns on its longest side facing the side road, and
+// stays as it is when it can't stand on that side.
+function plannedConfig(config) {
+  if (config.entranceRoad !== "side" || !hasSideRoad(config)) return config;
+  const left = config.cornerRoad === "left";
+  const corners = shapeAs(config, "corners").corners;
+  const n = corners.length;
+  const edges = corners.map(([x1, y1], i) => {
+    const [x2, y2] = corners[(i + 1) % n];
+    const len = Math.hypot(x2 - x1, y2 - y1);
+    return { i, len, angle: Math.atan2(y2 - y1, x2 - x1), facing: ((y2 - y1) / len) * (left ? -1 : 1) };
+  });
+  const road = edges.filter(e => e.facing > Math.SQRT1_2).reduce((a, b) => (!a || b.len > a.len ? b : a), null);
+  if (!road) return config;
+  // Turn the road side level, starting from its left end
+  const [cos, sin] = [Math.cos(-road.angle), Math.sin(-road.angle)];
+  const [ox, oy] = corners[road.i];
+  const turned = [...corners.slice(road.i), ...corners.slice(0, road.i)]
+    .map(([x, y]) => [(x - ox) * cos - (y - oy) * sin, (x - ox) * sin + (y - oy) * cos]);
+  const bearing = Math.round(((plotBearing(config) - (road.angle * 180) / Math.PI) % 360 + 360) % 360);
+  const facing = facingOf(bearing);
+  const next = {
+    ...config, facing, bearing: FACING_META[facing].bearing === bearing ? null : bearing,
+    cornerRoad: left ? "right" : "left", entranceRoad: "main",
+    roadWidth: config.sideRoadWidth ?? DEFAULT_CONFIG.sideRoadWidth, sideRoadWidth: config.roadWidth ?? DEFAULT_CONFIG.roadWidth,
+  };
+  if (!config.plotShape) return { ...next, plotWidth: config.plotDepth, plotDepth: config.plotWidth };
+  const shape = shapeThrough("corners", turned);
+  return plotShapeProblem(shape) ? config : withPlotShape(next, shape);
+}
+
+// Wall segment two rectangles share, or null when they only meet at a
+// corner (or not at all). `len` is the length of the common span.
+function sharedEdge(a, b) {
+  if (a.x + a.w === b.x || b.x + b.w === a.x) {
+    const x = a.x + a.w === b.x ? b.x : a.x;
+    const y1 = Math.max(a.y, b.y), y2 = Math.min(a.y + a.h, b.y + b.h);
+    return y2 > y1 ? { x1: x, y1, x2: x, y2, len: y2 - y1, vertical: true } : null;
+  }
+  if (a.y + a.h === b.y || b.y + b.h === a.y) {
+    const y = a.y + a.h === b.y ? b.y : a.y;
+    const x1 = Math.max(a.x, b.x), x2 = Math.min(a.x + a.w, b.x + b.w);
+    return x2 > x1 ? { x1, y1: y, x2, y2: y, len: x2 - x1, vertical: false } : null;
+  }
+  return null;
+}
+
 // ═══════════════════════════════════════════════════════════
 // LAYOUT ENGINE v2 — Constraint-based, no overlaps
 // ═══════════════════════════════════════════════════════════
 
-function createLayoutEngine(config) {
-  const { plotWidth: pw, plotDepth: pd, facing, floors, bedrooms, bathrooms, hasPooja, hasBalcony, hasParking, hasStore } = config;
+// Alternatives tried for every configuration: the share of the West column
+// and North row, where the staircase goes (NW, SW or the West wall), which
+// corner the kitchen
+// takes, and whether the master bedroom trades places with the living room.
+// The first entry is the usual layout.
+const LAYOUT_SPLITS = [{ col: 0.38, row: 0.36 }, { col: 0.34, row: 0.32 }, { col: 0.42, row: 0.40 }];
+const LAYOUT_VARIANTS = LAYOUT_SPLITS.flatMap(split =>
+  ["NW", "SW", "W"].flatMap(stair =>
+    ["SE", "NW"].flatMap(kitchen =>
+      [false, true].map(swapLiving => ({ split, stair, kitchen, swapLiving })))));
+
+// One layout pass over the given program, on the plot as plannedConfig
+// turns it. `omit` lists optional spaces (keys of DEGRADE_ORDER) to leave
+// out; `variant` is one of LAYOUT_VARIANTS. createLayoutEngine picks both.
+function planLayout(given, omit = [], variant = LAYOUT_VARIANTS[0]) {
+  const config = plannedConfig(given);
+  const { floors, bathrooms, hasBalcony, hasParking } = config;
+  // Rooms are planned for a cardinal `facing` and zoned on the true bearing
+  const bearing = plotBearing(config);
+  const facing = templateFacing(bearing);
+  const diagonal = isDiagonal(bearing);
+  const units = unitsOf(config.units);
+  const steps = (ft) => toSteps(ft, units);
+  const outline = plotOutline(config);
+  const pw = steps(outline ? outline.width : config.plotWidth);
+  const pd = steps(outline ? outline.depth : config.plotDepth);
+  const hasPooja = config.hasPooja && !omit.includes("pooja");
+  const hasStore = config.hasStore && !omit.includes("store");
+  const hasUtility = !omit.includes("utility");
+  const hasCommonBath = !omit.includes("common_bath");
+  const bedrooms = omit.includes("bedroom") ? Math.max(1, config.bedrooms - 1) : config.bedrooms;
 
-  // Setbacks based on typical Indian municipal rules
-  const setback = {
-    E: { front: facing === "E" ? 3 : 2, rear: facing === "W" ? 3 : 2, left: 2, right: 2 },
-    W: { front: facing === "W" ? 3 : 2, rear: facing === "E" ? 3 : 2, left: 2, right: 2 },
-    N: { front: facing === "N" ? 3 : 2, rear: facing === "S" ? 3 : 2, left: 2, right: 2 },
-    S: { front: facing === "S" ? 3 : 2, rear: facing === "N" ? 3 : 2, left: 2, right: 2 },
-  }[facing];
+  // Setbacks from the municipal rule set. Everything from here on is in
+  // grid steps. A shaped plot builds on the largest rectangle its setbacks
+  // leave, and `setback` holds that rectangle's offsets from the plot's
+  // bounding box. Setbacks are minimums, so they round up onto the grid
+  // (the small tolerance keeps float noise off one that is already on it).
+  const rules = plotRules(config);
+  const plot = outline && { ...outline, edges: outline.edges.map(e => ({ ...e, setback: rules.setback[e.kind] })) };
+  const setback = plot ? buildableRect(plot, units) : Object.fromEntries(Object.entries(rules.setback).map(([k, v]) => [k, Math.ceil(v / units.step - 1e-9)]));
 
   // Available building area
   const bW = pw - setback.left - setback.right;
   const bD = pd - setback.front - setback.rear;
-  const isSmall = bW * bD < 500;
-  const isTiny = bW * bD < 350;
+  const isTiny = bW * bD * units.step * units.step < 350;
   const hasStair = floors > 1;
 
-  // Direction mapping — translate Vastu compass zones to x,y grid positions
-  // based on facing. SVG top = North side of plot, right = East, etc.
-  // But we orient so the ROAD (facing) is at the bottom of the SVG
-  // This means: bottom = facing direction
-  const gridZone = (zone) => {
-    // Returns {xFrac: 0-1, yFrac: 0-1} for zone center
-    // We render: Top of SVG = rear of plot, Bottom = front (road side)
-    // Left of SVG = left when facing the plot from road
-    const zoneMap = {
-      E: {
-        NW: [0, 0], N: [0.5, 0], NE: [1, 0],
-        W: [0, 0.5], C: [0.5, 0.5], E: [1, 0.5],
-        SW: [0, 1], S: [0.5, 1], SE: [1, 1],
-      },
-      W: {
-        SE: [0, 0], S: [0.5, 0], SW: [1, 0],
-        E: [0, 0.5], C: [0.5, 0.5], W: [1, 0.5],
-        NE: [0, 1], N: [0.5, 1], NW: [1, 1],
-      },
-      N: {
-        SW: [0, 0], W: [0.5, 0], NW: [1, 0],
-        S: [0, 0.5], C: [0.5, 0.5], N: [1, 0.5],
-        SE: [0, 1], E: [0.5, 1], NE: [1, 1],
-      },
-      S: {
-        NE: [0, 0], E: [0.5, 0], SE: [1, 0],
-        N: [0, 0.5], C: [0.5, 0.5], S: [1, 0.5],
-        NW: [0, 1], W: [0.5, 1], SW: [1, 1],
-      },
-    };
-    return zoneMap[facing]?.[zone] || [0.5, 0.5];
-  };
-
   // The label for direction relative to plot orientation
-  const dirLabels = {
-    E: { top: "WEST (Rear)", bottom: "EAST (Road)", left: "SOUTH", right: "NORTH" },
-    W: { top: "EAST (Rear)", bottom: "WEST (Road)", left: "NORTH", right: "SOUTH" },
-    N: { top: "SOUTH (Rear)", bottom: "NORTH (Road)", left: "WEST", right: "EAST" },
-    S: { top: "NORTH (Rear)", bottom: "SOUTH (Road)", left: "EAST", right: "WEST" },
-  }[facing];
+  const dirLabels = dirLabelsFor(bearing, config.cornerRoad);
 
   // ─── GRID-BASED ROOM PLACER ───
-  // Divide the buildable area into a grid, then assign rooms to grid cells
-  // This guarantees no overlaps and clean adjacency
+  // Rooms are planned on a compass-true template (North up, West left) laid
+  // over the 3×3 Vastu grid, so the kitchen is always in SE, the master
+  // bedroom in SW and the pooja in NE. The template is then rotated into the
+  // drawing frame, where the road is at the bottom. Only the entrance side
+  // changes with the facing: the grid cell on the road side becomes the
+  // public room (or a foyer) that the main door opens into. A diagonal plot
+  // has a template of its own (see diagonalTemplate) with those rooms on the
+  // sides rather than the corners.
+  //
+  //            North
+  // ┌──────────┬──────────────┬───────┐
+  // │Staircase │   Living     │ Pooja │
+  // │ (NW)     │  (N / NE)    │ (NE)  │
+  // ├──────────┼──────┬───────┴───────┤
+  // │Com. Bath │      │               │
+  // ├──────────┤ Hall │    Dining     │  East
+  // │Att. Bath │ (C)  │     (E)       │
+  // ├──────────┼──────┼───────────────┤
+  // │ Master   │Pass. │   Kitchen     │
+  // │ Bedroom  ├──────┤    (SE)       │
+  // │  (SW)    │Store ├───────────────┤
+  // │          │ (S)  │   Utility     │
+  // └──────────┴──────┴───────────────┘
+  //            South
+  //
+  // Layout variants trade the corner cells: the staircase can take SW (the
+  // master moves to NW) or the West middle cell (the baths move up to NW),
+  // the kitchen can take NW (its corner room moves to
+  // SE), and the master can swap with the living room. Upper floors keep
+  // their staircase over the one below.
 
-  function layoutGroundFloor() {
-    const rooms = [];
-    const doors = [];
-    const windows = [];
-
-    // Strategy: divide into rows and columns
-    // For east-facing (most common), Vastu layout:
-    // ┌─────────────┬──────────────┐  ← rear (West)
-    // │  Master BR   │  Living Room  │
-    // │  (SW zone)   │  (NE zone)    │
-    // ├──────┬───────┼──────────────┤
-    // │Toilet│Passage│   Dining     │
-    // ├──────┴───┬───┼────┬─────────┤
-    // │Staircase │Pooja│Kitchen     │
-    // │ /Store   │    │  (SE zone)  │
-    // ├──────────┴────┼─────────────┤
-    // │   Porch / Entrance          │  ← front (Road/East)
-    // └─────────────────────────────┘
-
-    // Calculate proportional splits
-    const bedsOnGF = floors === 1 ? Math.min(bedrooms, 2) : 1;
-    const needsPorch = true;
-    const porchD = needsPorch ? Math.max(4, Math.round(bD * 0.12)) : 0;
-    const mainD = bD - porchD;
-
-    // Vertical split: top row (bedrooms + living), middle row (toilets + passage + dining), bottom row (stair + kitchen)
-    const topH = Math.round(mainD * (isTiny ? 0.5 : 0.42));
-    const midH = Math.round(mainD * (isTiny ? 0.22 : 0.22));
-    const botH = mainD - topH - midH;
-
-    // Horizontal split: left zone vs right zone
-    const leftW = Math.round(bW * 0.48);
-    const rightW = bW - leftW;
-
-    // ── TOP ROW: Master Bed (left/SW) + Living (right/NE)
-    rooms.push({
-      id: "master", name: "Master Bedroom", type: "master_bed",
-      x: 0, y: 0, w: leftW, h: topH,
-      zone: "SW", color: "#2a3a2e",
-      vastu: "SW (Nairutya) — Head of household, stability & grounding",
+  const bedsOnGF = floors === 1 ? Math.min(bedrooms, 2) : 1;
+  // A parking bay shares the road-side strip with the porch, so the strip
+  // grows until the bay (strip plus front setback) takes a car
+  const porchD = Math.max(steps(4), Math.round(bD * 0.12), hasParking ? steps(MIN_ROOM_SIZES.parking.h) - setback.front : 0);
+  const mainD = bD - porchD;
+
+  // Template block: E/W facings turn the main block on its side
+  const ax = frameAxes(FACING_META[facing].bearing);
+  const cW = Math.abs(ax.x[0]) * bW + Math.abs(ax.y[0]) * mainD; // West → East
+  const cH = Math.abs(ax.x[1]) * bW + Math.abs(ax.y[1]) * mainD; // North → South
+
+  // Shortest side a room type may have (MIN_ROOM_SIZES, either way round)
+  const side = (type) => steps(Math.min(MIN_ROOM_SIZES[type].w, MIN_ROOM_SIZES[type].h));
+
+  // Raise parts below their minimum, taking the difference one step at a
+  // time from whichever part has the most to spare. When the minimums can't
+  // all fit, share the space in proportion to them and let validation
+  // report the rooms that come up short.
+  const balance = (preferred, mins, total) => {
+    const need = mins.reduce((s, m) => s + m, 0);
+    if (need > total) {
+      const sizes = mins.map(m => Math.round((m * total) / need));
+      sizes[sizes.length - 1] = total - sizes.slice(0, -1).reduce((s, v) => s + v, 0);
+      return sizes;
+    }
+    const sizes = preferred.map((p, i) => Math.max(p, mins[i]));
+    for (let over = sizes.reduce((s, v) => s + v, 0) - total; over > 0; over--) {
+      const i = sizes.reduce((best, v, j) => (v - mins[j] > sizes[best] - mins[best] ? j : best), 0);
+      sizes[i]--;
+    }
+    return sizes;
+  };
+
+  // Minimum for each grid column/row from the rooms it holds, on every floor
+  const isE = facing === "E";
+  // A West staircase takes the West middle cell, which W-facing gives to the foyer
+  const stairW = hasStair && variant.stair === "W" && facing !== "W" && !diagonal;
+  const nwSide = hasStair ? side("staircase") : bedsOnGF >= 2 && !isTiny ? side("bedroom") : side("family_hall");
+  const upperBed = floors > 1 ? side("bedroom") : 0;
+  const wetCell = bathrooms >= 2 && hasCommonBath ? 2 * side("toilet") : side("toilet");
+  const poojaD = hasPooja ? side("pooja") : 0;
+  // Passage down to the West corner of a diagonal plot: beside the baths,
+  // or as the foyer beside the master from a South road
+  const passW = diagonal ? steps(facing === "S" ? 5 : 4) : 0;
+  const colMins = diagonal ? [
+    Math.max(isE ? side("dining") : side("living"), side("toilet") + (facing === "S" ? 0 : passW), nwSide, upperBed),
+    Math.max(side("master_bed") + (facing === "S" ? passW : 0), poojaD),
+    Math.max(side("kitchen"), isE ? side("living") : side("dining"), upperBed),
+  ] : [
+    Math.max(side("master_bed"), nwSide, upperBed, facing === "W" ? side("passage") : wetCell),
+    Math.max(side("passage"), hasStore && facing === "N" || isE && hasStore ? side("store") : 0, facing === "W" ? side("toilet") : 0, isE ? side("dining") : 0),
+    Math.max(side("kitchen"), isE ? side("living") : side("dining"), upperBed),
+  ];
+  const rowMins = diagonal ? [
+    Math.max(side("living"), side("dining"), poojaD + side("passage"), upperBed),
+    Math.max(floors > 1 ? 2 * side("toilet") : wetCell, side("kitchen")),
+    Math.max(side("master_bed"), nwSide, upperBed),
+  ] : [
+    Math.max(nwSide, isE ? side("dining") : side("living"), poojaD, upperBed),
+    Math.max(side("toilet"), stairW ? side("staircase") : 0, isE ? Math.max(0, side("living") + poojaD - nwSide) : side("dining")),
+    Math.max(side("master_bed"), side("kitchen"), upperBed),
+  ];
+
+  // Column widths (West, middle, East) and row heights (North, middle,
+  // South), starting from the usual proportions. A diagonal template's
+  // middle column holds the master and the pooja, so it starts wider.
+  const prefW = Math.round(cW * (diagonal ? variant.split.col - 0.08 : variant.split.col));
+  const prefC = Math.round(cW * (diagonal ? 0.4 : 0.24));
+  const prefN = Math.round(cH * variant.split.row);
+  const [colW, colC] = balance([prefW, prefC, cW - prefW - prefC], colMins, cW);
+  const [rowN, rowM, rowS] = balance([prefN, Math.round(cH * 0.24), cH - prefN - Math.round(cH * 0.24)], rowMins, cH);
+  const stairCorner = diagonal || variant.stair === "SW" ? "SW" : stairW ? "W" : variant.kitchen === "NW" ? "SE" : "NW";
+
+  // Template point (u steps east of the West edge, v steps south of the North
+  // edge) → drawing point on the main block
+  const toFrame = (u, v) => {
+    const east = u - cW / 2;
+    const north = cH / 2 - v;
+    return [
+      bW / 2 + east * ax.x[0] + north * ax.x[1],
+      mainD / 2 + east * ax.y[0] + north * ax.y[1],
+    ];
+  };
+
+  // Sizes along one axis: a null entry (or else the last one) takes the rest
+  const fill = (items, total) => {
+    const flex = items.some(it => it.size == null) ? items.findIndex(it => it.size == null) : items.length - 1;
+    const fixed = items.reduce((s, it, i) => s + (i === flex ? 0 : it.size), 0);
+    return items.map((it, i) => (i === flex ? total - fixed : it.size));
+  };
+
+  // Template nodes: `row` cuts a band into parts West → East, `col` cuts a
+  // band into parts North → South. Parts are room specs or nested nodes, each
+  // with an optional `size` in grid steps; falsy parts are skipped, so optional
+  // rooms can be written inline.
+  const row = (size, ...parts) => ({ size, split: "u", parts });
+  const col = (size, ...parts) => ({ size, split: "v", parts });
+
+  // Pack a template into drawing-frame rooms
+  function packTemplate(node, u = 0, v = 0, w = cW, h = cH, rooms = []) {
+    if (!node.split) {
+      const { size, ...spec } = node;
+      const [x1, y1] = toFrame(u, v);
+      const [x2, y2] = toFrame(u + w, v + h);
+      // Sizes are taken before rotation so an over-packed cell keeps its
+      // negative size for validation to report
+      const turned = ax.x[0] === 0;
+      rooms.push({ ...spec, x: Math.min(x1, x2), y: Math.min(y1, y2), w: turned ? h : w, h: turned ? w : h });
+      return rooms;
+    }
+    const parts = node.parts.filter(Boolean);
+    const sizes = fill(parts, node.split === "u" ? w : h);
+    let off = 0;
+    parts.forEach((part, i) => {
+      if (node.split === "u") packTemplate(part, u + off, v, sizes[i], h, rooms);
+      else packTemplate(part, u, v + off, w, sizes[i], rooms);
+      off += sizes[i];
     });
-    windows.push({ x: 0, ym: topH * 0.3, len: Math.min(5, leftW * 0.4), side: "left", room: "master" });
-    windows.push({ xm: leftW * 0.3, y: 0, len: Math.min(5, leftW * 0.35), side: "top", room: "master" });
+    return rooms;
+  }
+
+  function layoutGroundFloor() {
+    const living = { id: "living", name: "Living Room", type: "living", color: "#1e2e38", vastu: "Positive energy flow, light & openness" };
+    const dining = { id: "dining", name: "Dining", type: "dining", color: "#28221e", vastu: "Nourishment, connects kitchen to living" };
+    const hall = { id: "hall", name: "Central Hall", type: "passage", color: "#141e28", vastu: "Open centre connecting all rooms" };
+    const foyer = { id: "foyer", name: "Foyer", type: "passage", color: "#141e28", vastu: "Entrance lobby from the road" };
+    const master = { id: "master", name: "Master Bedroom", type: "master_bed", color: "#2a3a2e", vastu: "Head of household, stability & grounding" };
+    const kitchen = { id: "kitchen", name: "Kitchen", type: "kitchen", color: "#302018", vastu: "Agni/fire corner, cook facing East" };
+    const pooja = hasPooja && { id: "pooja", name: "Pooja", type: "pooja", color: "#2e2818", vastu: "Sacred space, face East while praying" };
+    const nwRoom = hasStair
+      ? { id: "staircase", name: "Staircase", type: "staircase", color: "#1e1e24", vastu: "Clockwise ascent per Vastu Shastra", isStair: true }
+      : bedsOnGF >= 2 && !isTiny
+        ? { id: "bed_g2", name: "Bedroom 2", type: "bedroom", color: "#2e2a38", vastu: "Guest/children's bedroom" }
+        : { id: "hall_g", name: "Family Hall", type: "family_hall", color: "#1e2e2e", vastu: "Family gathering, study area" };
+    const attachedBath = { id: "toilet_m", name: "Attached Bath", type: "toilet", color: "#1a2a3a", vastu: "Water element, drainage direction", isWet: true };
+    const commonBath = bathrooms >= 2 && hasCommonBath && { id: "toilet_c", name: "Common Bath", type: "toilet", color: "#1a2a3a", vastu: "Second bathroom", isWet: true };
+    const store = hasStore && { id: "store", name: "Store", type: "store", color: "#1a1a20", vastu: "Storage and utility" };
+
+    // Utility strip along the South wall of the kitchen when it still leaves a usable kitchen
+    const [kitchenW, kitchenD] = variant.kitchen === "NW" ? [colW, rowN] : [cW - colW - colC, rowS];
+    const utilD = Math.max(steps(4), Math.round(kitchenD * 0.3));
+    const utilityRoom = hasUtility && { id: "utility", name: "Utility", type: "utility", color: "#1a2a2a", vastu: "Wash and utility near kitchen", isWet: true };
+    const utility = kitchenD - utilD >= steps(8) && kitchenW > steps(10) && utilityRoom;
+
+    // Cells that change with the entrance side
+    let westCell = row(colW, { ...attachedBath, size: Math.round(colW / 2) }, commonBath);
+    let southCell = col(colC, { id: "passage", name: "Passage", type: "passage", color: "#141e28" }, store && { ...store, size: Math.max(steps(4), Math.round(rowS * 0.45)) });
+    let seCell = col(null, kitchen, utility && { ...utility, size: utilD });
+    if (facing === "W" || facing === "S") {
+      // Store gives up its cell and moves to the North side of the kitchen
+      seCell = col(null, store && { ...store, size: utilD }, kitchen, !store && utility && { ...utility, size: utilD });
+    }
+    if (facing === "W") {
+      // Foyer takes the West middle cell; baths move beside the master
+      westCell = { ...foyer, size: colW };
+      southCell = col(colC, commonBath, { ...attachedBath, size: commonBath ? Math.round(rowS / 2) : null });
+    } else if (facing === "S") {
+      southCell = { ...foyer, size: colC };
+    }
+    // Cells the layout variant trades between
+    const slot = { nw: nwRoom, sw: master, se: seCell, living };
+    if (stairW) {
+      // Baths stack in the NW corner so each opens off the room beside it
+      westCell = { ...nwRoom, size: colW };
+      slot.nw = col(null, { ...attachedBath, size: commonBath ? Math.round(rowN / 2) : null }, commonBath);
+    }
+    if (variant.stair === "SW") [slot.nw, slot.sw] = [slot.sw, slot.nw];
+    if (variant.kitchen === "NW") [slot.nw, slot.se] = [slot.se, slot.nw];
+    if (variant.swapLiving) {
+      const at = Object.keys(slot).find(k => slot[k] === master);
+      [slot[at], slot.living] = [slot.living, slot[at]];
+    }
+    const southRow = row(null, { ...slot.sw, size: colW }, southCell, slot.se);
 
+    // A diagonal plot's template sides face NE, SE, SW and NW and its corners
+    // N, E, S and W, so the rooms those zones call for take the middle of
+    // each side instead. The NW room (the staircase, which the upper floors
+    // keep over it) takes the West corner, reached by a passage beside the
+    // baths, or by the foyer beside the master from a South road; store and
+    // utility share the South corner off the kitchen, and the living room
+    // takes the corner nearer the road.
+    //
+    //              NE side
+    //   ┌─────────┬──────────┬─────────┐
+    //   │ Living  │  Pooja   │ Dining  │
+    //   │  (N)    ├──────────┤  (E)    │
+    //   ├──────┬──┤   Hall   ├─────────┤
+    //   │Baths │Pa│   (C)    │ Kitchen │
+    //   │ (NW) │s.│          │  (SE)   │
+    //   ├──────┴──┼──────────┼────┬────┤
+    //   │Staircase│  Master  │Stor│Util│
+    //   │  (W)    │   (SW)   │    │(S) │
+    //   └─────────┴──────────┴────┴────┘
+    //              SW side
+    function diagonalTemplate() {
+      const cell = { n: living, e: dining, nw: col(null, commonBath, { ...attachedBath, size: commonBath ? Math.round(rowM / 2) : null }), se: kitchen, sw: master };
+      if (isE) [cell.n, cell.e] = [cell.e, cell.n];
+      if (variant.kitchen === "NW") [cell.nw, cell.se] = [cell.se, cell.nw];
+      if (variant.swapLiving) {
+        const at = Object.keys(cell).find(k => cell[k] === living);
+        [cell[at], cell.sw] = [cell.sw, cell[at]];
+      }
+      const fromSouth = facing === "S";
+      const passage = { ...(fromSouth ? foyer : { id: "passage", name: "Passage", type: "passage", color: "#141e28" }), size: passW };
+      const sCorner = (store || utilityRoom) && row(null, store && { ...store, size: utilityRoom ? Math.round((cW - colW - colC) / 2) : null }, utilityRoom);
+      return row(null,
+        col(colW, { ...cell.n, size: rowN }, fromSouth ? { ...cell.nw, size: rowM } : row(rowM, cell.nw, passage), nwRoom),
+        col(colC, pooja && { ...pooja, size: Math.max(poojaD, Math.round(rowN / 2)) }, hall, fromSouth ? row(rowS, passage, cell.sw) : { ...cell.sw, size: rowS }),
+        col(null, { ...cell.e, size: rowN }, { ...cell.se, size: sCorner ? rowM : null }, sCorner));
+    }
+
+    // E-facing enters the living room from the East wall, so living takes
+    // the East column of the upper two rows and dining moves to the North
+    const template = diagonal ? diagonalTemplate() : facing === "E"
+      ? col(null,
+        row(rowN + rowM,
+          col(colW, { ...slot.nw, size: rowN }, westCell),
+          col(colC, { ...dining, size: rowN }, hall),
+          col(null, pooja && { ...pooja, size: Math.max(steps(4), Math.round(rowN * 0.4)) }, slot.living)),
+        southRow)
+      : col(null,
+        row(rowN, { ...slot.nw, size: colW }, slot.living, pooja && { ...pooja, size: Math.max(steps(4), Math.round(cW * 0.14)) }),
+        row(rowM, westCell, { ...hall, size: colC }, dining),
+        southRow);
+    const rooms = packTemplate(template);
+
+    const links = [
+      ["toilet_m", ["master", "bed_g2", "hall_g", "passage", "hall", "dining", "living"]],
+      ["toilet_c", ["hall", "foyer", "passage", "dining", "living"]],
+      ["master", ["passage", "foyer", "hall", "dining", "toilet_m"]],
+      ["passage", ["hall"], "opening"],
+      ["foyer", ["hall"], "opening"],
+      ["kitchen", ["dining", "passage", "foyer", "living", "hall"]],
+      ["utility", ["kitchen"]],
+      ["store", ["passage", "foyer", "kitchen"]],
+      [nwRoom.id, ["living", "dining", "passage", "hall", "foyer", "toilet_c"]],
+      ["pooja", ["living", "dining"]],
+      ["living", ["hall", "passage", "foyer"], "opening"],
+      ["dining", ["hall"], "opening"],
+      ["living", ["dining"], "opening"],
+    ];
+    const doors = placeDoors(rooms, links, units);
+
+    // ── ENTRANCE
+    const mainDoor = placeEntrance(rooms, mainD, units, bearing);
+    doors.push(mainDoor);
+
+    // ── PORCH (road side), centred on the entrance. A parking bay takes the
+    // other end of the road-side strip and runs out into the front setback.
+    const parkW = hasParking ? Math.min(bW - steps(6), Math.max(steps(9), Math.round(bW * 0.4))) : 0;
+    const doorMid = (mainDoor.x1 + mainDoor.x2) / 2;
+    const parkLeft = doorMid > bW / 2;
+    const porchW = Math.min(Math.round(bW * 0.6), bW - parkW);
+    const porchMin = parkLeft ? parkW : 0;
+    const porchX = Math.min(porchMin + (bW - parkW) - porchW, Math.max(porchMin, Math.round(doorMid - porchW / 2)));
     rooms.push({
-      id: "living", name: "Living Room", type: "living",
-      x: leftW, y: 0, w: rightW, h: topH,
-      zone: "NE", color: "#1e2e38",
-      vastu: "NE (Ishanya) — Positive energy flow, light & openness",
+      id: "porch", name: "Porch / Sit-out", type: "porch",
+      x: porchX, y: mainD, w: porchW, h: porchD,
+      color: "#1e2a1e",
+      vastu: `${bearingName(bearing)} facing — welcoming entrance`,
+      isOpen: true,
     });
-    windows.push({ x: bW, ym: topH * 0.25, len: Math.min(5, rightW * 0.4), side: "right", room: "living" });
-    windows.push({ xm: leftW + rightW * 0.4, y: 0, len: Math.min(4, rightW * 0.3), side: "top", room: "living" });
-
-    // Additional bedroom on GF if single floor with 2+ beds
-    if (bedsOnGF >= 2 && !isTiny) {
-      // Carve a bedroom from part of living room area
-      const bed2W = Math.round(rightW * 0.55);
-      const bed2H = Math.round(topH * 0.55);
+
+    const windows = placeWindows(rooms, bW, mainD, units);
+
+    // On a shaped plot the bay must also stay inside the boundary
+    const bay = [(setback.left + (parkLeft ? 0 : bW - parkW)) * units.step, (setback.rear + mainD) * units.step, (setback.left + (parkLeft ? parkW : bW)) * units.step, pd * units.step];
+    if (hasParking && (!plot || rectInOutline(plot, bay))) {
       rooms.push({
-        id: "bed_g2", name: "Bedroom 2", type: "bedroom",
-        x: leftW, y: 0, w: bed2W, h: bed2H,
-        zone: "N", color: "#2e2a38",
-        vastu: "North zone — good for children/study",
+        id: "parking", name: "Parking", type: "parking",
+        x: parkLeft ? 0 : bW - parkW, y: mainD, w: parkW, h: porchD + setback.front,
+        color: "#141820",
+        vastu: "Vehicle parking area",
+        isOpen: true, isOutside: true,
       });
-      // Resize living
-      rooms[1].y = bed2H;
-      rooms[1].h = topH - bed2H;
     }
 
-    // ── MID ROW: Attached Bath + Common Bath + Passage + Dining
-    const toiletW = Math.max(4, Math.round(leftW * 0.42));
-    const toiletH = midH;
+    return { rooms, doors, windows, links, bW, bD, mainD, porchD, bearing };
+  }
+
+  function layoutUpperFloor(floorIdx, ground) {
+    const totalUpperBeds = bedrooms - 1; // 1 on GF
+    const bedsThisFloor = floorIdx === 1 ? Math.min(totalUpperBeds, 3) : Math.max(totalUpperBeds - 3, 1);
+    const bathsThisFloor = hasCommonBath ? Math.max(1, Math.min(bathrooms - 1, 2)) : 1; // at least 1 attached
+    const firstBed = floorIdx === 1 ? 2 : 2 + Math.min(totalUpperBeds, 3);
 
-    rooms.push({
-      id: "toilet_m", name: "Attached Bath", type: "toilet",
-      x: 0, y: topH, w: toiletW, h: toiletH,
-      zone: "NW", color: "#1a2a3a",
-      vastu: "NW (Vayavya) — Water element, drainage direction",
-      isWet: true,
+    // Same grid as the ground floor, so the staircase sits directly over
+    // the one below:
+    // ┌──────────┬──────────────────────┐
+    // │Staircase │ Bedroom / Hall (NE)   │
+    // ├────┬─────┴────────────────┬────┤
+    // │Bath│   Lobby / Passage    │Bath│
+    // ├────┴─────┬────────────────┴────┤
+    // │Bedroom A │ Bedroom B / Hall (SE) │
+    // │  (SW)    │                      │
+    // └──────────┴──────────────────────┘
+    //   Balcony over the porch, on the road side
+    // When the staircase is in SW (by the variant, or always on a diagonal
+    // plot, where that is its West corner), it trades with Bedroom A;
+    // on the West wall it trades with the bath, which moves up to the NW
+    // corner; in SE it takes the East end of the South row and the North
+    // room runs the full width.
+
+    const bedA = { id: `bed_${floorIdx}_a`, name: `Bedroom ${firstBed}`, type: "bedroom", color: "#2a3a2e", vastu: "Primary bedroom, stability" };
+    const seRoom = bedsThisFloor >= 2
+      ? { id: `bed_${floorIdx}_b`, name: `Bedroom ${firstBed + 1}`, type: "bedroom", color: "#2e2a38", vastu: "Children/guest bedroom" }
+      : { id: `hall_${floorIdx}`, name: "Family Hall", type: "family_hall", color: "#1e2e2e", vastu: "Family gathering, study area" };
+    const neRoom = bedsThisFloor >= 3
+      ? { id: `bed_${floorIdx}_c`, name: `Bedroom ${firstBed + 2}`, type: "bedroom", color: "#2a2a30", vastu: "Children's bedroom" }
+      : bedsThisFloor >= 2
+        ? { id: `hall_${floorIdx}`, name: "Family Hall", type: "family_hall", color: "#1e2e2e", vastu: "Family gathering, study area" }
+        : { id: `terrace_${floorIdx}`, name: "Open Terrace", type: "balcony", color: "#1e2a1e", vastu: "Kept open and light", isOpen: true };
+    const serviceRoom = bathsThisFloor >= 2
+      ? { id: `bath_${floorIdx}_c`, name: "Common Bath", type: "toilet", color: "#1a2a3a", vastu: "Second bathroom", isWet: true }
+      : hasUtility && { id: `util_${floorIdx}`, name: "Utility / Wash", type: "utility", color: "#1a2a2a", vastu: "Utility and washing area", isWet: true };
+
+    const stair = { id: `stair_${floorIdx}`, name: floorIdx >= floors - 1 ? "Stair (→ Terrace)" : "Staircase", type: "staircase", color: "#1e1e24", vastu: "Structural weight, clockwise ascent", isStair: true };
+    const bathW = Math.max(steps(5), Math.round(colW * 0.5));
+    const bath = { id: `bath_${floorIdx}_a`, name: "Attached Bath", type: "toilet", color: "#1a2a3a", vastu: "Water element for drainage", isWet: true, size: bathW };
+    const rooms = packTemplate(col(null,
+      stairCorner === "NW" ? row(rowN, { ...stair, size: colW }, neRoom)
+        : stairCorner === "SW" ? row(rowN, { ...bedA, size: colW }, neRoom)
+          : stairCorner === "W" ? row(rowN, bath, neRoom)
+            : row(rowN, neRoom),
+      row(rowM,
+        // On a diagonal plot the East end faces SE, so the service room
+        // stacks under the bath on the West (NW) side instead
+        stairCorner === "W" ? { ...stair, size: colW }
+          : diagonal && serviceRoom ? col(bathW, { ...bath, size: Math.round(rowM / 2) }, serviceRoom)
+            : bath,
+        { id: `lobby_${floorIdx}`, name: "Lobby / Passage", type: "passage", color: "#141e28", vastu: "Central passage connecting rooms" },
+        !diagonal && serviceRoom && { ...serviceRoom, size: bathW }),
+      stairCorner === "SW" ? row(null, { ...stair, size: colW }, seRoom)
+        : stairCorner === "SE" ? row(null, { ...bedA, size: colW }, seRoom, { ...stair, size: cW - colW - colC })
+          // The staircase cuts Bedroom A off from the lobby, so a passage runs down to it
+          : stairCorner === "W" ? row(null, { ...bedA, size: colW }, { id: `passage_${floorIdx}`, name: "Passage", type: "passage", color: "#141e28", size: side("passage") }, seRoom)
+            : row(null, { ...bedA, size: colW }, seRoom),
+    ));
+
+    const lobby = `lobby_${floorIdx}`;
+    const links = [
+      [`stair_${floorIdx}`, [lobby]],
+      [`bath_${floorIdx}_a`, [bedA.id, lobby, neRoom.id]],
+      [`bath_${floorIdx}_c`, [lobby]],
+      [`util_${floorIdx}`, [lobby]],
+      [`passage_${floorIdx}`, [lobby], "opening"],
+      [bedA.id, [lobby, `passage_${floorIdx}`]],
+      [seRoom.id, [lobby]],
+      [neRoom.id, [lobby]],
+    ];
+    const doors = placeDoors(rooms, links, units);
+
+    // Balcony cantilevered over the porch, opening off the widest dry room behind it
+    if (hasBalcony) {
+      const porch = ground.rooms.find(r => r.id === "porch");
+      const balcony = {
+        id: `balcony_${floorIdx}`, name: "Open Balcony", type: "balcony",
+        x: porch.x, y: mainD, w: porch.w, h: porchD,
+        color: "#1e2a1e",
+        vastu: "Sit-out, drying, plants",
+        isOpen: true,
+      };
+      const behind = rooms
+        .filter(r => !r.isWet && !r.isStair && !r.isOpen)
+        .map(r => ({ r, edge: sharedEdge(r, balcony) }))
+        .filter(c => c.edge)
+        .sort((a, b) => b.edge.len - a.edge.len);
+      rooms.push(balcony);
+      links.push([balcony.id, behind.map(c => c.r.id)]);
+      doors.push(...placeDoors(rooms, links.slice(-1), units));
+    }
+
+    const windows = placeWindows(rooms, bW, mainD, units);
+    return { rooms, doors, windows, links, bW, bD, mainD };
+  }
+
+  // ─── BUILD ALL FLOORS ───
+  const allPlans = [];
+  const gf = layoutGroundFloor();
+  allPlans.push({ floor: 0, label: "Ground Floor", level: "+0.00m", units: units.key, outline: plot, ...gf });
+
+  for (let f = 1; f < floors; f++) {
+    const uf = layoutUpperFloor(f, gf);
+    allPlans.push({ floor: f, label: f === 1 ? "First Floor" : "Second Floor", level: `+${(f * STOREY_HEIGHT).toFixed(2)}m`, units: units.key, outline: plot, ...uf });
+  }
+
+  const plans = furnishPlans(zoneRooms(allPlans, bearing, bW, bD), bearing);
+  const vastuResult = scoreVastu(plans, bearing, setback, plot, sideRoadBearing(config), vastuProfileOf(config));
+  const { errors, warnings, bylaws } = validatePlans(plans, { config, setback, bW, bD, rules });
+
+  return { plans, errors, warnings, setback, bW, bD, units: units.key, rules, bylaws, bearing, dirLabels, vastuResult };
+}
+
+// ─── ZONES ───
+// Vastu zone of a point given as fractions of the building (0-1 each way).
+// The 3×3 grid is laid over the footprint and turned with the plot's
+// bearing: each outer cell takes the compass direction nearest its own
+// from the centre, so the same drawing position lands in a different zone
+// for each facing, and a diagonal plot's corners point N, E, S and W.
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+function zoneAt(bearing, xFrac, yFrac) {
+  const cell = (frac) => (frac > 2 / 3 ? 1 : frac < 1 / 3 ? -1 : 0);
+  const [cx, cy] = [cell(Math.min(1, Math.max(0, xFrac))), cell(Math.min(1, Math.max(0, yFrac)))];
+  if (!cx && !cy) return "C";
+  const { x, y } = frameAxes(bearing);
+  const east = cx * x[0] + cy * y[0];
+  const north = cx * x[1] + cy * y[1];
+  const sector = Math.round(Math.round((Math.atan2(east, north) * 180) / Math.PI / 45 * 1e6) / 1e6);
+  return COMPASS_POINTS[(sector + 8) % 8];
+}
+
+// The Vastu Purusha Mandala: 9×9 padas over the whole plot (a shaped
+// plot's bounding box), whose middle 3×3 is Brahma's — the Brahmasthan.
+// In grid steps from the footprint's top-left corner, like the rooms.
+const MANDALA_PADAS = 9;
+const brahmasthan = (setback, bW, bD) => {
+  const [w, h] = [setback.left + bW + setback.right, setback.rear + bD + setback.front];
+  return { x: w / 3 - setback.left, y: h / 3 - setback.rear, w: w / 3, h: h / 3 };
+};
+
+// The 16 zones are read round the centre in 22.5° sectors of true bearing
+const SIXTEEN_ZONES = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+// Zone each room from its centroid, never from the template. Building-
+// relative coordinates, so rooms in the setback (parking) clamp to the
+// nearest edge cell. `purpose` keeps the room's own note so plans can be
+// zoned again after an edit.
+function zoneRooms(plans, bearing, bW, bD) {
+  return plans.map(plan => ({
+    ...plan,
+    rooms: plan.rooms.map(room => {
+      const zone = zoneAt(bearing, (room.x + room.w / 2) / bW, (room.y + room.h / 2) / bD);
+      const purpose = room.purpose ?? room.vastu;
+      return { ...room, zone, purpose, vastu: `${zone} (${VASTU_ZONES[zone].label})${purpose ? ` — ${purpose}` : ""}` };
+    }),
+  }));
+}
+
+// ─── DOORS & WINDOWS ───
+// Doors: each entry is [room id, candidate neighbour ids, type]. The door
+// goes on the wall shared with the first candidate that actually touches
+// the room — optional rooms and facing changes move the neighbours around.
+// Sizes are in grid steps of `units`.
+function placeDoors(rooms, links, units) {
+  const steps = (ft) => toSteps(ft, units);
+  const doors = [];
+  const byId = Object.fromEntries(rooms.map(r => [r.id, r]));
+  for (const [id, candidates, type = "door"] of links) {
+    if (!byId[id]) continue;
+    for (const other of candidates) {
+      const edge = byId[other] && sharedEdge(byId[id], byId[other]);
+      if (!edge || edge.len * units.step < 2.5) continue;
+      const len = type === "opening" ? Math.max(steps(2), edge.len - steps(2)) : Math.min(steps(3), edge.len - steps(1));
+      const off = (edge.len - len) / 2;
+      doors.push(edge.vertical
+        ? { x1: edge.x1, y1: edge.y1 + off, x2: edge.x1, y2: edge.y1 + off + len, type }
+        : { x1: edge.x1 + off, y1: edge.y1, x2: edge.x1 + off + len, y2: edge.y1, type });
+      break;
+    }
+  }
+  return doors;
+}
+
+// One window per exterior wall of each habitable room; small ventilators
+// for wet rooms. The entrance wall of the entry room is kept clear.
+function placeWindows(rooms, bW, depth, units) {
+  const windows = [];
+  for (const r of rooms) {
+    if (r.isOpen || r.type === "passage") continue;
+    const maxLen = toSteps(r.isWet ? 2 : 5, units);
+    const sides = [
+      r.x === 0 && { x1: 0, y1: r.y, x2: 0, y2: r.y + r.h },
+      r.x + r.w === bW && { x1: bW, y1: r.y, x2: bW, y2: r.y + r.h },
+      r.y === 0 && { x1: r.x, y1: 0, x2: r.x + r.w, y2: 0 },
+      r.y + r.h === depth && !r.isEntry && { x1: r.x, y1: depth, x2: r.x + r.w, y2: depth },
+    ].filter(Boolean);
+    for (const s of sides) {
+      const span = Math.max(s.x2 - s.x1, s.y2 - s.y1);
+      const len = Math.min(maxLen, span * 0.4);
+      const off = (span - len) / 2;
+      windows.push(s.x1 === s.x2
+        ? { x1: s.x1, y1: s.y1 + off, x2: s.x1, y2: s.y1 + off + len, room: r.id }
+        : { x1: s.x1 + off, y1: s.y1, x2: s.x1 + off + len, y2: s.y1, room: r.id });
+    }
+  }
+  return windows;
+}
+
+// Main door in the road-side wall of a public room at the front of the
+// main block, on the best entrance pada the public rooms reach (see
+// entrancePadas), as near the room's middle as that pada allows; without
+// a `bearing` it is centred in the first of them. Marks the room as the
+// entry and returns the door with its `pada`. A block too shallow to pack
+// leaves no room on that wall; the widest room is used and validation
+// reports the plan.
+function placeEntrance(rooms, mainD, units, bearing) {
+  const frontRooms = rooms.filter(r => r.y + r.h === mainD);
+  const publicRooms = ["foyer", "living", "dining", "passage", "hall"]
+    .map(id => frontRooms.find(r => r.id === id)).filter(Boolean);
+  const candidates = publicRooms.length ? publicRooms : [(frontRooms.length ? frontRooms : rooms).reduce((a, b) => (b.w > a.w ? b : a))];
+  const padas = bearing == null ? [] : entrancePadas(bearing, Math.max(...rooms.map(r => r.x + r.w)));
+  const doorIn = (entry) => {
+    const doorW = Math.min(toSteps(4, units), entry.w - toSteps(2, units));
+    const jamb = Math.min(toSteps(1, units), Math.floor((entry.w - doorW) / 2));
+    return { doorW, lo: entry.x + jamb, hi: entry.x + entry.w - jamb - doorW };
+  };
+
+  // Ranked by the pada's rating, then the room's order, then how far the
+  // door strays from the room's middle
+  let best = null;
+  candidates.forEach((entry, order) => {
+    const { doorW, lo, hi } = doorIn(entry);
+    const middle = Math.round(entry.x + (entry.w - doorW) / 2);
+    for (const pada of padas) {
+      // Door centre inside the pada, as close to the room's middle as it gets
+      const x = Math.min(hi, Math.max(lo, Math.min(Math.ceil(pada.x1 - doorW / 2) - 1, Math.max(Math.ceil(pada.x0 - doorW / 2), middle))));
+      const centre = x + doorW / 2;
+      if (centre < pada.x0 || centre >= pada.x1) continue;
+      const rank = [PADA_RATINGS[pada.rating].rank, -order, -Math.abs(x - middle)];
+      const i = best ? rank.findIndex((v, k) => v !== best.rank[k]) : 0;
+      if (i >= 0 && (!best || rank[i] > best.rank[i])) best = { entry, x, doorW, pada: pada.label, rank };
+    }
+  });
+  if (!best) {
+    const entry = candidates[0];
+    const { doorW } = doorIn(entry);
+    best = { entry, x: Math.round(entry.x + (entry.w - doorW) / 2), doorW, pada: null };
+  }
+  for (const r of rooms) r.isEntry = r === best.entry;
+  return { x1: best.x, y1: mainD, x2: best.x + best.doorW, y2: mainD, type: "main_door", pada: best.pada };
+}
+
+// ─── ENTRANCE PADAS ───
+// The mandala's boundary is divided into 32 padas, 8 a side, numbered
+// clockwise round the plot from the corner before each side (E1 at the NE
+// corner, S1 at SE, W1 at SW, N1 at NW). Each is ruled by a deity whose
+// nature makes it a good, neutral or bad place for the main door:
+// [deity, rating, what a door there brings].
+const ENTRANCE_PADAS = {
+  N: [["Roga", "bad", "illness"], ["Naga", "bad", "enmity"], ["Mukhya", "good", "wealth"], ["Bhallata", "good", "plenty"],
+    ["Soma", "good", "wealth and piety"], ["Bhujaga", "bad", "quarrels"], ["Aditi", "bad", "discord at home"], ["Diti", "neutral", "mixed fortune"]],
+  E: [["Shikhi", "bad", "fire and accidents"], ["Parjanya", "neutral", "more daughters"], ["Jayanta", "good", "wealth"], ["Mahendra", "good", "standing and favour"],
+    ["Surya", "bad", "anger"], ["Satya", "bad", "broken promises"], ["Bhrisha", "bad", "cruelty"], ["Antariksha", "bad", "theft"]],
+  S: [["Anila", "bad", "few sons"], ["Pusha", "bad", "servitude"], ["Vitatha", "good", "prosperity"], ["Grihakshata", "good", "food and wealth"],
+    ["Yama", "bad", "ruin"], ["Gandharva", "bad", "ingratitude"], ["Bhringaraja", "bad", "poverty"], ["Mriga", "bad", "loss of vigour"]],
+  W: [["Pitru", "bad", "short life"], ["Dauvarika", "bad", "losses"], ["Sugriva", "good", "wealth"], ["Pushpadanta", "good", "children and prosperity"],
+    ["Varuna", "neutral", "steady gains"], ["Asura", "bad", "trouble with authority"], ["Shosha", "bad", "sorrow"], ["Papayakshma", "bad", "illness"]],
+};
+const PADA_RATINGS = { good: { rank: 2, color: "#6b9f71" }, neutral: { rank: 1, color: "#d4a574" }, bad: { rank: 0, color: "#c46b5b" } };
+
+// The 8 padas of the road-side wall, `width` long, as { label, deity,
+// rating, effect, x0, x1 } from the left (x in the same units). Pada 1
+// sits at the right-hand end as seen from the road. A diagonal road side
+// has its corner in the middle, so it carries the last four padas of the
+// side before that corner and the first four of the side after it.
+function entrancePadas(bearing, width) {
+  const facing = facingOf(bearing);
+  const side = (s, from, to) => ENTRANCE_PADAS[s].slice(from, to).map((p, i) => [s, from + i, p]);
+  // In clockwise order, which runs right to left along the road side
+  const clockwise = { N: ["N"], E: ["E"], S: ["S"], W: ["W"], NE: ["N", "E"], SE: ["E", "S"], SW: ["S", "W"], NW: ["W", "N"] }[facing];
+  const padas = clockwise.length === 1 ? side(clockwise[0], 0, 8) : [...side(clockwise[0], 4, 8), ...side(clockwise[1], 0, 4)];
+  return padas.map(([side, i, [deity, rating, effect]], k) => ({
+    label: `${side}${i + 1}`, deity, rating, effect,
+    x0: (width * (7 - k)) / 8, x1: (width * (8 - k)) / 8,
+  })).reverse();
+}
+
+// ─── FURNITURE ───
+// Standard blocks for each room type, in feet and in the order they are
+// placed: `w` along the wall the piece backs onto (widest first, narrower
+// ones tried when it won't fit), `d` out from that wall and `clear` the
+// floor kept free in front of it. A piece with `toward` slides to that
+// compass end of its wall, the rest are centred; a `free` piece stands in
+// the middle of the room with `clear` all round.
+const ROOM_FURNITURE = {
+  master_bed: [
+    { kind: "bed", name: "Bed", w: [5, 4.5], d: 6.5, clear: 2 },
+    { kind: "locker", name: "Cash locker", w: [1.5], d: 1.5, clear: 2, toward: "SW" },
+    { kind: "wardrobe", name: "Wardrobe", w: [6, 4], d: 2, clear: 2.5, back: ["S", "W"], toward: "SW" },
+  ],
+  bedroom: [
+    { kind: "bed", name: "Bed", w: [4.5, 3.5], d: 6.5, clear: 2 },
+    { kind: "wardrobe", name: "Wardrobe", w: [4, 3], d: 2, clear: 2.5, back: ["S", "W"], toward: "SW" },
+  ],
+  kitchen: [
+    { kind: "stove", name: "Stove counter", w: [4, 3], d: 2, clear: 3, toward: "SE" },
+    { kind: "sink", name: "Sink", w: [2.5], d: 2, clear: 3, back: ["N", "E"], toward: "NE" },
+  ],
+  dining: [{ kind: "table", name: "Dining table", w: [5, 4, 3], d: 2.5, clear: 2, free: true }],
+  living: [{ kind: "sofa", name: "Sofa", w: [7, 6, 5], d: 3, clear: 3, back: ["S", "W"] }],
+  family_hall: [{ kind: "sofa", name: "Sofa", w: [6, 5], d: 3, clear: 3, back: ["S", "W"] }],
+  toilet: [{ kind: "wc", name: "WC", w: [1.5], d: 2.25, clear: 1.75 }],
+  pooja: [{ kind: "idol", name: "Idol platform", w: [2.5, 2], d: 1.5, clear: 2.5 }],
+};
+
+// Vastu rules for the way a piece is turned. `reads` is the direction
+// checked: the wall behind it ("back") or the way it faces or opens
+// ("front"); `term` names that direction in the breakdown and tips.
+const FURNITURE_CHECKS = {
+  bed: { label: "Bed headboard to the S or W", advice: "the headboard to the S or W", reads: "back", term: "head", weight: 3, ideal: ["S", "SW", "W"], acceptable: ["SE", "E", "NW"] },
+  stove: { label: "Cook facing East", advice: "cooking facing East", reads: "back", term: "cook faces", weight: 3, ideal: ["E"], acceptable: ["NE", "SE", "N"] },
+  idol: { label: "Idol facing East or West", advice: "the idol facing East or West", reads: "front", term: "idol faces", weight: 2, ideal: ["E", "W"], acceptable: ["NE", "NW"] },
+  wc: { label: "WC seat aligned N–S", advice: "the seat aligned N–S", reads: "front", term: "faces", weight: 2, ideal: ["N", "S"], acceptable: ["NE", "SE", "SW", "NW"] },
+  locker: { label: "Cash locker opening North", advice: "the locker opening North", reads: "front", term: "opens", weight: 2, ideal: ["N"], acceptable: ["NE", "E"] },
+};
+
+const oppositeOf = (dir) => COMPASS_POINTS[(COMPASS_POINTS.indexOf(dir) + 4) % 8];
+
+// Furniture for each room of a plan, as { kind, name, room, roomName,
+// side, back, front, x, y, w, h } in grid steps. `side` is the room side
+// the piece backs onto (top, bottom, left or right of the drawing) and
+// `back` / `front` the compass points behind it and in front of it; a
+// free piece has none. Walls are tried in the order the piece's check
+// ranks them, or by its `back` list. Pieces stay inside the walls, off
+// one another's clear floor and out of every door's swing.
+function placeFurniture(plan, bearing) {
+  const { step } = unitsOf(plan.units);
+  const { x: ax, y: ay } = frameAxes(bearing);
+  // Compass point of a direction in the drawing frame
+  const compass = ([dx, dy]) => facingOf((Math.atan2(dx * ax[0] + dy * ay[0], dx * ax[1] + dy * ay[1]) * 180) / Math.PI);
+  // Every half foot from 0 to `span`, and `span` itself
+  const halfFeet = (span) => [...Array.from({ length: Math.floor(span / 0.5) + 1 }, (_, i) => i * 0.5), span];
+  const overlaps = (a, b) => a.x < b.x + b.w - 1e-6 && b.x < a.x + a.w - 1e-6 && a.y < b.y + b.h - 1e-6 && b.y < a.y + a.h - 1e-6;
+  const rank = (piece, back) => {
+    const check = FURNITURE_CHECKS[piece.kind];
+    if (!check) return (piece.back || []).includes(back) ? 1 : 0;
+    const dir = check.reads === "back" ? back : oppositeOf(back);
+    return check.ideal.includes(dir) ? 2 : check.acceptable.includes(dir) ? 1 : 0;
+  };
+
+  const furniture = [];
+  for (const room of plan.rooms) {
+    const pieces = ROOM_FURNITURE[room.type];
+    if (!pieces || room.isOpen || room.isOutside) continue;
+    const inset = wallInsets(room, plan);
+    const { w: bw, h: bh } = clearSize(room, plan);
+    const bx = room.x * step + inset.left;
+    const by = room.y * step + inset.top;
+
+    // Door swings, and the way through wide openings: a strip inside the
+    // room as deep as the door is wide, up to 3 ft. A free piece is walked
+    // round, so only the doors' swings stop it.
+    const [rx0, ry0, rx1, ry1] = [room.x, room.y, room.x + room.w, room.y + room.h].map(v => v * step);
+    const swings = plan.doors.flatMap(d => {
+      const [x1, y1, x2, y2] = [Math.min(d.x1, d.x2), Math.min(d.y1, d.y2), Math.max(d.x1, d.x2), Math.max(d.y1, d.y2)].map(v => v * step);
+      const len = Math.max(x2 - x1, y2 - y1);
+      const deep = Math.min(len, 3);
+      const opening = d.type === "opening";
+      if (x1 === x2 && y1 < ry1 && y2 > ry0 && (x1 === rx0 || x1 === rx1)) return [{ x: x1 === rx0 ? rx0 : rx1 - deep, y: y1, w: deep, h: len, opening }];
+      if (y1 === y2 && x1 < rx1 && x2 > rx0 && (y1 === ry0 || y1 === ry1)) return [{ x: x1, y: y1 === ry0 ? ry0 : ry1 - deep, w: len, h: deep, opening }];
+      return [];
     });
 
-    if (bathrooms >= 2) {
-      const ct_w = Math.max(4, Math.round(leftW * 0.38));
-      rooms.push({
-        id: "toilet_c", name: "Common Bath", type: "toilet",
-        x: toiletW, y: topH, w: leftW - toiletW, h: toiletH,
-        zone: "W", color: "#1a2a3a",
-        vastu: "West zone — acceptable for second bathroom",
-        isWet: true,
-      });
-    } else {
-      // Use space as passage
-      rooms.push({
-        id: "passage_m", name: "Passage", type: "passage",
-        x: toiletW, y: topH, w: leftW - toiletW, h: toiletH,
-        zone: "C", color: "#141e28",
+    // The room's four walls: the piece's body and clear floor `a` feet along each
+    const walls = [
+      { side: "top", len: bw, depth: bh, normal: [0, -1], along: [1, 0], body: (a, w, d) => ({ x: bx + a, y: by, w, h: d }), clear: (a, w, d, c) => ({ x: bx + a, y: by + d, w, h: c }) },
+      { side: "bottom", len: bw, depth: bh, normal: [0, 1], along: [1, 0], body: (a, w, d) => ({ x: bx + a, y: by + bh - d, w, h: d }), clear: (a, w, d, c) => ({ x: bx + a, y: by + bh - d - c, w, h: c }) },
+      { side: "left", len: bh, depth: bw, normal: [-1, 0], along: [0, 1], body: (a, w, d) => ({ x: bx, y: by + a, w: d, h: w }), clear: (a, w, d, c) => ({ x: bx + d, y: by + a, w: c, h: w }) },
+      { side: "right", len: bh, depth: bw, normal: [1, 0], along: [0, 1], body: (a, w, d) => ({ x: bx + bw - d, y: by + a, w: d, h: w }), clear: (a, w, d, c) => ({ x: bx + bw - d - c, y: by + a, w: c, h: w }) },
+    ].map(wall => ({ ...wall, back: compass(wall.normal) }));
+
+    const taken = []; // bodies and clear floor of the pieces placed so far
+    const fits = (body, clear) => !swings.some(s => overlaps(s, body))
+      && !taken.some(t => overlaps(t.body, body) || overlaps(t.clear, body) || overlaps(t.body, clear));
+    for (const piece of pieces) {
+      let found = null;
+      if (piece.free) {
+        // Long side along the room's longer side, as near the middle as the doors allow
+        for (const w of piece.w) {
+          const [pw, ph] = bw >= bh ? [w, piece.d] : [piece.d, w];
+          const [sx, sy] = [bw - pw - 2 * piece.clear, bh - ph - 2 * piece.clear];
+          if (sx < 0 || sy < 0) continue;
+          const spots = halfFeet(sx).flatMap(x => halfFeet(sy).map(y => ({ x, y })))
+            .sort((a, b) => Math.hypot(a.x - sx / 2, a.y - sy / 2) - Math.hypot(b.x - sx / 2, b.y - sy / 2));
+          for (const { x, y } of spots) {
+            const body = { x: bx + piece.clear + x, y: by + piece.clear + y, w: pw, h: ph };
+            const clear = { x: bx + x, y: by + y, w: pw + 2 * piece.clear, h: ph + 2 * piece.clear };
+            if (!swings.some(s => !s.opening && overlaps(s, body)) && !taken.some(t => overlaps(t.body, clear))) {
+              found = { body, clear, side: bw >= bh ? "top" : "left", back: null, front: null };
+              break;
+            }
+          }
+          if (found) break;
+        }
+      } else {
+        const order = [...walls].sort((a, b) => rank(piece, b.back) - rank(piece, a.back));
+        for (const wall of order) {
+          for (const w of piece.w) {
+            if (w > wall.len + 1e-6 || piece.d + piece.clear > wall.depth + 1e-6) continue;
+            // Positions along the wall, nearest the wanted end or the middle first
+            const slack = wall.len - w;
+            const high = piece.toward && angleGap(FACING_META[compass(wall.along)].bearing, FACING_META[piece.toward].bearing) < 90;
+            const want = !piece.toward ? slack / 2 : high ? slack : 0;
+            const spots = halfFeet(slack).sort((a, b) => Math.abs(a - want) - Math.abs(b - want));
+            const a = spots.find(s => fits(wall.body(s, w, piece.d), wall.clear(s, w, piece.d, piece.clear)));
+            if (a === undefined) continue;
+            found = { body: wall.body(a, w, piece.d), clear: wall.clear(a, w, piece.d, piece.clear), side: wall.side, back: wall.back, front: oppositeOf(wall.back) };
+            break;
+          }
+          if (found) break;
+        }
+      }
+      if (!found) continue;
+      taken.push(found);
+      const { body } = found;
+      furniture.push({
+        kind: piece.kind, name: piece.name, room: room.id, roomName: room.name,
+        side: found.side, back: found.back, front: found.front,
+        x: body.x / step, y: body.y / step, w: body.w / step, h: body.h / step,
       });
     }
+  }
+  return furniture;
+}
 
-    rooms.push({
-      id: "dining", name: "Dining", type: "dining",
-      x: leftW, y: topH, w: rightW, h: midH,
-      zone: "W", color: "#28221e",
-      vastu: "West zone — nourishment, connects kitchen to living",
+// Plans with their furniture, laid out again whenever rooms or doors move
+const furnishPlans = (plans, bearing) => plans.map(plan => ({ ...plan, furniture: placeFurniture(plan, bearing) }));
+
+// ─── STRUCTURAL GRID ───
+// A starting column grid for costing and feasibility, not a structural
+// design. Columns stand at the wall junctions of the main block, at the
+// same points on every floor, and rise from the ground only as far as
+// walls run over them on each floor in turn. Beams run along the walls
+// between columns; one longer than the span limit gets columns between,
+// where the floors below have walls for them to stand in.
+const SPAN_LIMITS = { min: 8, max: 25 };
+const COLUMN_SIZE = 0.75; // feet, a 9" square
+
+// Walls of a plan's main block as merged runs along their lines,
+// { vertical, at, from, to } in grid steps, the outer walls included
+function wallRuns(plan) {
+  const edges = [
+    { vertical: false, at: 0, from: 0, to: plan.bW }, { vertical: false, at: plan.mainD, from: 0, to: plan.bW },
+    { vertical: true, at: 0, from: 0, to: plan.mainD }, { vertical: true, at: plan.bW, from: 0, to: plan.mainD },
+    ...plan.rooms.filter(r => !r.isOutside && !r.isOpen && r.y + r.h <= plan.mainD).flatMap(r => [
+      { vertical: false, at: r.y, from: r.x, to: r.x + r.w }, { vertical: false, at: r.y + r.h, from: r.x, to: r.x + r.w },
+      { vertical: true, at: r.x, from: r.y, to: r.y + r.h }, { vertical: true, at: r.x + r.w, from: r.y, to: r.y + r.h },
+    ]),
+  ].sort((a, b) => a.vertical - b.vertical || a.at - b.at || a.from - b.from);
+  const runs = [];
+  for (const e of edges) {
+    const last = runs[runs.length - 1];
+    if (last && last.vertical === e.vertical && last.at === e.at && e.from <= last.to) last.to = Math.max(last.to, e.to);
+    else runs.push({ ...e });
+  }
+  return runs;
+}
+
+// Columns, beams and unsupported walls for a layout's plans, with
+// `maxSpan` in feet. Columns are { x, y, top, added } in grid steps:
+// `top` is the highest floor they reach and `added` marks one put in to
+// shorten a beam. Beams are { floor, x1, y1, x2, y2, span, long } and
+// unsupported walls { floor, x1, y1, x2, y2, length }, lengths in feet;
+// `long` marks a beam over the limit with nowhere below for a column.
+function structuralGrid(plans, maxSpan) {
+  const { step } = unitsOf(plans[0].units);
+  const runs = plans.map(wallRuns);
+  const onWall = (f, x, y) => runs[f].some(r => (r.vertical ? x === r.at && y >= r.from && y <= r.to : y === r.at && x >= r.from && x <= r.to));
+  // Highest floor a column at a point can reach with a wall under it all the way, -1 for none
+  const topAt = (x, y) => {
+    let f = 0;
+    while (f < plans.length && onWall(f, x, y)) f++;
+    return f - 1;
+  };
+
+  const columns = new Map();
+  plans.forEach((plan, f) => {
+    for (const r of plan.rooms.filter(r => !r.isOutside && !r.isOpen && r.y + r.h <= plan.mainD)) {
+      for (const [x, y] of [[r.x, r.y], [r.x + r.w, r.y], [r.x, r.y + r.h], [r.x + r.w, r.y + r.h]]) {
+        const top = topAt(x, y);
+        if (top >= f && !columns.has(`${x},${y}`)) columns.set(`${x},${y}`, { x, y, top, added: false });
+      }
+    }
+  });
+
+  // Beams of a floor: along each run, between the columns that reach it
+  const beamsOf = (f) => runs[f].flatMap(r => {
+    const along = [...columns.values()]
+      .filter(c => c.top >= f && (r.vertical ? c.x === r.at : c.y === r.at))
+      .map(c => (r.vertical ? c.y : c.x))
+      .filter(p => p >= r.from && p <= r.to)
+      .sort((a, b) => a - b);
+    return along.slice(1).map((p, i) => {
+      const [from, to] = [along[i], p];
+      return { floor: f, ...(r.vertical ? { x1: r.at, y1: from, x2: r.at, y2: to } : { x1: from, y1: r.at, x2: to, y2: r.at }), span: (to - from) * step };
     });
+  });
 
-    // Door from living to dining
-    doors.push({ x1: leftW, y1: topH + 1, x2: leftW, y2: topH + midH - 1, type: "opening" });
+  // Split long beams floor by floor, ground first
+  plans.forEach((plan, f) => {
+    for (const b of beamsOf(f).filter(b => b.span > maxSpan)) {
+      const parts = Math.ceil(b.span / maxSpan);
+      for (let k = 1; k < parts; k++) {
+        const [x, y] = [Math.round(b.x1 + ((b.x2 - b.x1) * k) / parts), Math.round(b.y1 + ((b.y2 - b.y1) * k) / parts)];
+        const top = topAt(x, y);
+        if (top >= f && !columns.has(`${x},${y}`)) columns.set(`${x},${y}`, { x, y, top, added: true });
+      }
+    }
+  });
+  const beams = plans.flatMap((plan, f) => beamsOf(f).map(b => ({ ...b, long: b.span > maxSpan + 1e-6 })));
 
-    // ── BOTTOM ROW: Staircase/Store (left/SW) + Kitchen (right/SE)
-    if (hasStair) {
-      const stairW = Math.max(7, Math.round(leftW * 0.65));
-      const stairH = botH;
-      rooms.push({
-        id: "staircase", name: "Staircase", type: "staircase",
-        x: 0, y: topH + midH, w: stairW, h: stairH,
-        zone: "SW", color: "#1e1e24",
-        vastu: "SW — Clockwise ascent per Vastu Shastra",
-        isStair: true,
-      });
+  // Upper-floor walls, or parts of them, with no wall on the floor below
+  const unsupported = plans.slice(1).flatMap((plan, i) => runs[i + 1].flatMap(r => {
+    const below = runs[i].filter(s => s.vertical === r.vertical && s.at === r.at && s.to > r.from && s.from < r.to);
+    const gaps = [];
+    let at = r.from;
+    for (const s of below) {
+      if (s.from > at) gaps.push([at, s.from]);
+      at = Math.max(at, s.to);
+    }
+    if (at < r.to) gaps.push([at, r.to]);
+    return gaps.map(([from, to]) => ({
+      floor: i + 1, ...(r.vertical ? { x1: r.at, y1: from, x2: r.at, y2: to } : { x1: from, y1: r.at, x2: to, y2: r.at }), length: (to - from) * step,
+    }));
+  }));
+
+  return { columns: [...columns.values()], beams, unsupported };
+}
+
+// ─── VALIDATION ───
+// Geometry and program checks over the finished plans. Errors mean the
+// plan can't be drawn as it stands; warnings are drawable but fall short
+// of the brief. Also returns the plans' figures against the municipal
+// `rules` (from plotRules).
+function validatePlans(allPlans, { config, setback, bW, bD, rules }) {
+  const { bathrooms, hasParking, hasBalcony, floors } = config;
+  const errors = [];
+  const warnings = [];
+  const units = unitsOf(allPlans[0].units);
+  const overlaps = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
 
-      if (hasStore && leftW - stairW >= 4) {
-        rooms.push({
-          id: "store", name: "Store", type: "store",
-          x: stairW, y: topH + midH, w: leftW - stairW, h: botH,
-          zone: "S", color: "#1a1a20",
-          vastu: "South zone — storage and utility",
-        });
+  for (const plan of allPlans) {
+    const units = unitsOf(plan.units);
+    const sized = [];
+    for (const r of plan.rooms) {
+      if (!(r.w > 0 && r.h > 0)) {
+        errors.push({ kind: "size", floor: plan.floor, rooms: [r.id], text: `${plan.label}: ${r.name} has no usable size (${roomSize(r, units)})` });
+        continue;
       }
+      sized.push(r);
 
-      if (hasPooja) {
-        const poojaS = Math.max(4, Math.round(Math.min(leftW - stairW, botH) * 0.6));
-        if (leftW - stairW >= 4) {
-          rooms.push({
-            id: "pooja", name: "Pooja", type: "pooja",
-            x: stairW, y: topH + midH, w: Math.min(poojaS, leftW - stairW), h: Math.min(poojaS, botH),
-            zone: "NE", color: "#2e2818",
-            vastu: "Ishanya zone — sacred, face East while praying",
-          });
-        }
+      // Building rooms stay inside the setback lines; parking only inside the plot
+      const [x0, y0, x1, y1] = r.isOutside
+        ? [-setback.left, -setback.rear, bW + setback.right, bD + setback.front]
+        : [0, 0, bW, bD];
+      const outsidePlot = r.isOutside && plan.outline && !rectInOutline(plan.outline, [r.x + setback.left, r.y + setback.rear, r.x + r.w + setback.left, r.y + r.h + setback.rear].map(v => v * units.step));
+      if (r.x < x0 || r.y < y0 || r.x + r.w > x1 || r.y + r.h > y1 || outsidePlot) {
+        errors.push({ kind: "outside", floor: plan.floor, rooms: [r.id], text: `${plan.label}: ${r.name} runs outside the ${r.isOutside ? "plot" : "buildable area"}` });
       }
-    } else {
-      // No stair — use for store + pooja
-      if (hasPooja) {
-        const poojaS = Math.max(4, Math.round(leftW * 0.4));
-        rooms.push({
-          id: "pooja", name: "Pooja", type: "pooja",
-          x: 0, y: topH + midH, w: poojaS, h: Math.min(poojaS, botH),
-          zone: "NE", color: "#2e2818",
-          vastu: "Ishanya zone — sacred space",
-        });
+
+      // Minimums are orientation-free: a 5' × 4' toilet meets 4' × 5'.
+      // They are taken to the nearest grid step, as the engine plans them.
+      const min = MIN_ROOM_SIZES[r.type] && { ...MIN_ROOM_SIZES[r.type], w: toSteps(MIN_ROOM_SIZES[r.type].w, units), h: toSteps(MIN_ROOM_SIZES[r.type].h, units) };
+      if (min && (Math.min(r.w, r.h) < Math.min(min.w, min.h) || Math.max(r.w, r.h) < Math.max(min.w, min.h))) {
+        warnings.push({ kind: "min_size", floor: plan.floor, rooms: [r.id], text: `${plan.label}: ${r.name} is ${roomSize(r, units)}, below the ${roomSize(min, units)} minimum for a ${min.label}` });
       }
-      if (hasStore) {
-        const sx = hasPooja ? Math.max(4, Math.round(leftW * 0.4)) : 0;
-        rooms.push({
-          id: "store", name: "Store", type: "store",
-          x: sx, y: topH + midH, w: leftW - sx, h: botH,
-          zone: "S", color: "#1a1a20",
-          vastu: "South zone — storage",
-        });
+    }
+    // Every enclosed room needs a door or opening somewhere on its walls
+    const onWall = (d, r) => d.x1 === d.x2
+      ? (d.x1 === r.x || d.x1 === r.x + r.w) && d.y1 >= r.y && d.y2 <= r.y + r.h
+      : (d.y1 === r.y || d.y1 === r.y + r.h) && d.x1 >= r.x && d.x2 <= r.x + r.w;
+    for (const r of sized) {
+      if (r.isOpen || plan.doors.some(d => onWall(d, r))) continue;
+      warnings.push({ kind: "access", floor: plan.floor, rooms: [r.id], text: `${plan.label}: ${r.name} has no door` });
+    }
+    for (let i = 0; i < sized.length; i++) {
+      for (let j = i + 1; j < sized.length; j++) {
+        if (overlaps(sized[i], sized[j])) {
+          errors.push({ kind: "overlap", floor: plan.floor, rooms: [sized[i].id, sized[j].id], text: `${plan.label}: ${sized[i].name} overlaps ${sized[j].name}` });
+        }
       }
     }
+  }
 
-    // Kitchen — right side bottom (SE zone)
-    rooms.push({
-      id: "kitchen", name: "Kitchen", type: "kitchen",
-      x: leftW, y: topH + midH, w: rightW, h: botH,
-      zone: "SE", color: "#302018",
-      vastu: "SE (Agneya) — Agni/fire corner, cook facing East",
+  // Requested program vs. what was actually placed
+  const placed = allPlans.flatMap(p => p.rooms);
+  const count = (...types) => placed.filter(r => types.includes(r.type)).length;
+  const program = [
+    { label: "Bedroom", plural: "bedrooms", want: config.bedrooms, have: count("master_bed", "bedroom") },
+    { label: "Bathroom", plural: "bathrooms", want: bathrooms, have: count("toilet") },
+    { label: "Pooja Room", want: config.hasPooja ? 1 : 0, have: count("pooja") },
+    { label: "Store Room", want: config.hasStore ? 1 : 0, have: count("store") },
+    { label: "Car Parking", want: hasParking ? 1 : 0, have: count("parking") },
+    // Balconies sit over the porch, so only upper floors get one
+    { label: "Balcony", plural: "balconies", want: hasBalcony ? floors - 1 : 0, have: placed.filter(r => r.id.startsWith("balcony")).length },
+  ];
+  for (const p of program) {
+    if (p.have >= p.want) continue;
+    warnings.push({
+      kind: "dropped", floor: null, rooms: [],
+      text: p.want === 1 ? `${p.label} was requested but could not be placed` : `Only ${p.have} of ${p.want} requested ${p.plural} could be placed`,
     });
-    windows.push({ x: bW, ym: topH + midH + botH * 0.4, len: Math.min(4, rightW * 0.3), side: "right", room: "kitchen" });
+  }
 
-    // Utility / wash attached to kitchen
-    if (botH > 8 && rightW > 10) {
-      const uW = Math.max(4, Math.round(rightW * 0.35));
-      const uH = Math.max(3, Math.round(botH * 0.35));
-      rooms.push({
-        id: "utility", name: "Utility", type: "utility",
-        x: bW - uW, y: topH + midH + botH - uH, w: uW, h: uH,
-        zone: "SE", color: "#1a2a2a",
-        vastu: "SE — wash and utility near kitchen",
-        isWet: true,
-      });
+  // The main door should open into a shared room, not a bedroom or service room
+  const entry = allPlans[0].rooms.find(r => r.isEntry);
+  if (entry && !["living", "dining", "passage", "family_hall"].includes(entry.type)) {
+    warnings.push({ kind: "entry", floor: 0, rooms: [entry.id], text: `${allPlans[0].label}: main door opens into the ${entry.name}` });
+  }
+
+  // Parking needs a drive-in from a road: the front boundary, or the side
+  // one on a corner plot
+  const parking = allPlans[0].rooms.find(r => r.type === "parking");
+  if (parking) {
+    const front = allPlans[0].outline?.edges.find(e => e.kind === "front");
+    const frontSpan = front
+      ? Math.min(Math.max(front.x1, front.x2), (parking.x + parking.w + setback.left) * units.step) - Math.max(Math.min(front.x1, front.x2), (parking.x + setback.left) * units.step)
+      : parking.w;
+    const atFront = parking.y + parking.h === bD + setback.front && frontSpan > 0;
+    const atSide = config.cornerRoad === "left" ? parking.x === -setback.left
+      : config.cornerRoad === "right" && parking.x + parking.w === bW + setback.right;
+    if (!atFront && !atSide) {
+      warnings.push({ kind: "parking", floor: 0, rooms: [parking.id], text: `${allPlans[0].label}: ${parking.name} has no drive-in from a road` });
     }
+  }
 
-    // ── PORCH (bottom — road side)
-    rooms.push({
-      id: "porch", name: "Porch / Sit-out", type: "porch",
-      x: Math.round(bW * 0.2), y: mainD, w: Math.round(bW * 0.6), h: porchD,
-      zone: facing, color: "#1e2a1e",
-      vastu: `${facing} facing — welcoming entrance`,
-      isOpen: true,
-    });
+  // Each staircase sits directly over the one below
+  for (let i = 1; i < allPlans.length; i++) {
+    const below = allPlans[i - 1].rooms.find(r => r.isStair);
+    const stair = allPlans[i].rooms.find(r => r.isStair);
+    if (below && stair && (stair.x !== below.x || stair.y !== below.y || stair.w !== below.w || stair.h !== below.h)) {
+      warnings.push({ kind: "stair", floor: allPlans[i].floor, rooms: [stair.id], text: `${allPlans[i].label}: ${stair.name} does not line up with the one below` });
+    }
+  }
 
-    // Main entrance door
-    doors.push({
-      x1: Math.round(bW * 0.4), y1: mainD, x2: Math.round(bW * 0.55), y2: mainD, type: "main_door",
-    });
-    // Door from porch into living
-    doors.push({
-      x1: leftW + 1, y1: mainD - 0.5, x2: leftW + Math.round(rightW * 0.35), y2: mainD - 0.5, type: "door",
-    });
-    // Master bed door
-    doors.push({
-      x1: leftW, y1: topH * 0.6, x2: leftW, y2: topH * 0.6 + 3, type: "door",
-    });
-    // Toilet door
-    doors.push({
-      x1: toiletW * 0.3, y1: topH, x2: toiletW * 0.3 + 2.5, y2: topH, type: "door",
-    });
-    // Kitchen door
-    doors.push({
-      x1: leftW + 1, y1: topH + midH, x2: leftW + 1 + 3, y2: topH + midH, type: "door",
+  // Municipal limits. Setbacks are kept by the layout itself; coverage and
+  // FAR come from the area statement.
+  const areas = areaStatement(allPlans, config, rules);
+  const bylaws = {
+    coverage: areas.coverage,
+    far: areas.far,
+    height: allPlans.length * STOREY_HEIGHT / M_PER_FT,
+  };
+  const limits = [
+    { key: "coverage", limit: rules.coverage, text: `Ground coverage is ${Math.round(bylaws.coverage * 100)}% of the plot, over the ${Math.round(rules.coverage * 100)}%` },
+    { key: "far", limit: rules.far, text: `FAR is ${bylaws.far.toFixed(2)}, over the ${rules.far?.toFixed(2)}` },
+    { key: "height", limit: rules.maxHeight, text: `Building height is ${units.length(bylaws.height)}, over the ${units.length(rules.maxHeight ?? 0)}` },
+  ];
+  for (const l of limits) {
+    if (l.limit == null || bylaws[l.key] <= l.limit + 1e-9) continue;
+    warnings.push({ kind: "bylaw", floor: null, rooms: [], text: `${l.text} allowed by ${rules.name}` });
+  }
+
+  return { errors, warnings, bylaws };
+}
+
+// ─── AREA STATEMENT ───
+// Kind of an open area, as the rule sets' `counted` shares name them
+const openKind = (r) => r.type === "parking" || r.type === "porch" ? r.type : r.id.startsWith("terrace") ? "terrace" : "balcony";
+
+// Area statement for a building approval, all in square feet. Per floor:
+// the plinth area (wall-inclusive bW × bD), carpet area of each enclosed
+// room inside its walls, every open area with the share the rules count, and the built-up
+// area — the enclosed floor plus those counted shares. Ground coverage is
+// the enclosed ground floor over the plot; FAR is total built-up over it.
+function areaStatement(allPlans, config, rules) {
+  const { step } = unitsOf(allPlans[0].units);
+  const plotArea = plotAreaOf(config);
+  const floors = allPlans.map(plan => {
+    const area = (r) => r.w * r.h * step * step;
+    const sized = plan.rooms.filter(r => r.w > 0 && r.h > 0);
+    const rooms = sized.filter(r => !r.isOpen).map(r => ({ id: r.id, name: r.name, area: area(r), carpet: carpetArea(r, plan) }));
+    const open = sized.filter(r => r.isOpen).map(r => {
+      const kind = openKind(r);
+      const share = rules.counted[kind] ?? 0;
+      return { id: r.id, name: r.name, kind, area: area(r), share, counted: area(r) * share };
     });
+    const enclosed = rooms.reduce((s, r) => s + r.area, 0);
+    return {
+      floor: plan.floor, label: plan.label,
+      plinth: plan.bW * plan.bD * step * step,
+      rooms, open, enclosed,
+      carpet: rooms.reduce((s, r) => s + r.carpet, 0),
+      builtUp: enclosed + open.reduce((s, o) => s + o.counted, 0),
+    };
+  });
+  const total = (key) => floors.reduce((s, f) => s + f[key], 0);
+  return {
+    plotArea, floors,
+    plinth: total("plinth"), carpet: total("carpet"), builtUp: total("builtUp"),
+    coverage: floors[0].enclosed / plotArea,
+    far: total("builtUp") / plotArea,
+  };
+}
 
-    // Parking (if enabled, outside building on setback)
-    if (hasParking) {
-      rooms.push({
-        id: "parking", name: "Parking", type: "parking",
-        x: -setback.left, y: mainD - 6, w: setback.left + Math.round(bW * 0.35), h: 6 + porchD,
-        zone: "NW", color: "#141820",
-        vastu: "NW — vehicle parking area",
-        isOpen: true, isOutside: true,
-      });
+// ─── VASTU SCORING ───
+// A profile rule's own advice as a remedy, tagged with its room type
+const profileRemedy = (rule) => (rule.remedy ? [{ kind: "general", room: rule.room, text: rule.remedy[0].toUpperCase() + rule.remedy.slice(1) }] : []);
+
+// A layout result with the profile's remedies on its room tips (tagged
+// `rule` by scoreVastu) as `profile` words them now, so editing remedy text
+// needs no new layout
+function withProfileRemedies(result, profile) {
+  const rules = Object.fromEntries(profile.rooms.map(r => [r.room, r]));
+  const tips = result.vastuResult.tips.map(t => (t.rule && rules[t.rule]
+    ? { ...t, remedies: [...t.remedies.filter(r => r.room !== t.rule), ...profileRemedy(rules[t.rule])] }
+    : t));
+  return { ...result, vastuResult: { ...result.vastuResult, tips } };
+}
+
+// `bearing` is the road side's (see plotBearing), and `setback` places the
+// footprint on the plot for the Brahmasthan. `outline` is a shaped
+// plot's, whose cut and extended corners count too; `sideBearing` a corner
+// plot's second road's, which makes the corner between the roads count.
+// Every room on every floor is checked against `profile` (see
+// VASTU_PROFILES), and its furniture against FURNITURE_CHECKS. The score
+// is the sum of `rows`, one per check: { item, floor (label, or null for
+// the whole plot), zone, verdict, points, max }. `floors` has each floor's subscore from its rows, and
+// `forbidden` counts rooms in a zone the profile forbids.
+function scoreVastu(allPlans, bearing, setback, outline = null, sideBearing = null, profile = VASTU_PROFILES.moderate) {
+  let score = 0;
+  let maxScore = 0;
+  let forbidden = 0;
+  const tips = [];
+  const rows = [];
+  const count = (row) => {
+    rows.push({ floor: null, ...row });
+    score += row.points;
+    maxScore += row.max;
+  };
+
+  // Facing bonus
+  const facing = facingOf(bearing);
+  const facingScore = { NE: 18, E: 18, N: 16, NW: 10, W: 8, SE: 6, S: 4, SW: 0 }[facing];
+  count({ item: "Facing", zone: facing, verdict: facingScore >= 16 ? "Excellent" : facingScore >= 8 ? "Workable" : "Poor", points: facingScore, max: 18 });
+  if (facingScore >= 16) tips.push({ type: "good", text: `${facing}-facing entrance — excellent Vastu alignment` });
+  else tips.push({ type: facing === "SW" ? "bad" : "warn", text: `${facing}-facing — consider Vastu remedies at entrance`, remedies: remediesFor(`entrance:${facing}`) });
+  const tilt = Math.round(angleGap(bearing, FACING_META[facing].bearing));
+  if (tilt) tips.push({ type: "ok", text: `~ Plot turned ${tilt}° off ${FACING_META[facing].label} — zones are read from the nearest directions` });
+
+  // Entrance pada: the one of the road side's 8 the main door's centre falls in
+  const ground = allPlans.find(p => p.floor === 0);
+  const mainDoor = ground?.doors?.find(d => d.type === "main_door");
+  if (mainDoor) {
+    const weight = 8;
+    const mid = (mainDoor.x1 + mainDoor.x2) / 2;
+    const padas = entrancePadas(bearing, ground.bW);
+    const pada = padas.find(p => mid >= p.x0 && mid < p.x1) || padas[padas.length - 1];
+    const where = `Main door on ${pada.label} (${pada.deity})`;
+    const points = { good: weight, neutral: weight / 2, bad: 0 }[pada.rating];
+    count({ item: "Main door", floor: ground.label, zone: pada.label, verdict: `${pada.rating[0].toUpperCase()}${pada.rating.slice(1)} pada`, points, max: weight });
+    if (pada.rating === "good") {
+      tips.push({ type: "good", text: `✓ ${where} — brings ${pada.effect}` });
+    } else if (pada.rating === "neutral") {
+      tips.push({ type: "ok", text: `~ ${where} — ${pada.effect}; acceptable` });
+    } else {
+      const good = padas.filter(p => p.rating === "good").map(p => `${p.label} (${p.deity})`);
+      tips.push({ type: "bad", text: `✗ ${where} — said to bring ${pada.effect}${good.length ? `; move it to ${good.join(" or ")}` : "; no good pada on this road side, remedies advised"}`, remedies: remediesFor("pada:bad") });
     }
+  }
 
-    return { rooms, doors, windows, bW, bD, mainD, porchD, topH, midH, botH, leftW, rightW };
+  // Check each room of a type the profile has a rule for, on every floor.
+  // A rule's weight is shared between the rooms it covers, and a rule with
+  // no room in the plan doesn't count.
+  for (const rule of profile.rooms) {
+    const rooms = allPlans.flatMap(plan => plan.rooms.filter(r => r.type === rule.room).map(room => ({ room, plan })));
+    const ideal = rule.ideal.join("/") || "another zone";
+    for (const { room, plan } of rooms) {
+      // The knowledge base's corrections for this room in this zone, then the profile's own advice
+      const remedies = [...remediesFor(`${rule.room}:${room.zone}`), ...profileRemedy(rule)];
+      const weight = rule.weight / rooms.length;
+      const name = allPlans.length > 1 ? `${room.name} (${plan.label})` : room.name;
+      const row = { item: room.name, floor: plan.label, zone: room.zone, max: weight };
+      if (rule.ideal.includes(room.zone)) {
+        count({ ...row, verdict: "Ideal", points: weight });
+        tips.push({ type: "good", text: `✓ ${vastuRuleLabel(rule)}${rooms.length > 1 ? ` — ${name}` : ""}` });
+      } else if (rule.acceptable.includes(room.zone)) {
+        count({ ...row, verdict: "Acceptable", points: weight * 0.6 });
+        tips.push({ type: "ok", text: `~ ${name} in ${room.zone} — acceptable but ${ideal} is ideal` });
+      } else if (rule.forbidden.includes(room.zone)) {
+        count({ ...row, verdict: "Forbidden", points: -weight / 2 });
+        forbidden++;
+        tips.push({ type: "bad", text: `✗ ${name} in ${room.zone} — a forbidden zone, Vastu recommends ${ideal}`, remedies, rule: rule.room });
+      } else {
+        count({ ...row, verdict: "Out of zone", points: 0 });
+        tips.push({ type: "bad", text: `✗ ${name} in ${room.zone} — Vastu recommends ${ideal}`, remedies, rule: rule.room });
+      }
+    }
   }
 
-  function layoutUpperFloor(floorIdx) {
-    const rooms = [];
-    const doors = [];
-    const windows = [];
+  // Furniture turned the Vastu way: each checked piece on every floor,
+  // sharing its rule's weight like the rooms do
+  for (const [kind, check] of Object.entries(FURNITURE_CHECKS)) {
+    const pieces = allPlans.flatMap(plan => (plan.furniture || []).filter(f => f.kind === kind).map(piece => ({ piece, plan })));
+    for (const { piece, plan } of pieces) {
+      const dir = piece[check.reads];
+      const weight = check.weight / pieces.length;
+      const where = `${piece.name} in ${allPlans.length > 1 ? `${piece.roomName} (${plan.label})` : piece.roomName}`;
+      const row = { item: `${piece.name} — ${piece.roomName}`, floor: plan.label, zone: `${check.term} ${dir}`, max: weight };
+      if (check.ideal.includes(dir)) {
+        count({ ...row, verdict: "Ideal", points: weight });
+        tips.push({ type: "good", text: `✓ ${check.label} — ${where}` });
+      } else if (check.acceptable.includes(dir)) {
+        count({ ...row, verdict: "Acceptable", points: weight * 0.6 });
+        tips.push({ type: "ok", text: `~ ${where}: ${check.term} ${dir} — acceptable, though ${check.advice} is ideal` });
+      } else {
+        count({ ...row, verdict: "Wrong way", points: 0 });
+        tips.push({ type: "bad", text: `✗ ${where}: ${check.term} ${dir} — Vastu recommends ${check.advice}`, remedies: remediesFor(`furniture:${kind}`) });
+      }
+    }
+  }
 
-    const totalUpperBeds = bedrooms - 1; // 1 on GF
-    const bedsThisFloor = floorIdx === 1 ? Math.min(totalUpperBeds, 3) : Math.max(totalUpperBeds - 3, 1);
-    const bathsThisFloor = Math.max(1, Math.min(bathrooms - 1, 2)); // at least 1 attached
-
-    // Reuse building dims from GF
-    const leftW = Math.round(bW * 0.48);
-    const rightW = bW - leftW;
-
-    // Layout strategy for upper floor:
-    // ┌──────────────┬───────────────┐
-    // │  Bedroom A    │  Bedroom B    │
-    // │               │  (or Hall)    │
-    // ├─────┬────────┼───────────────┤
-    // │Bath │  Lobby / Family Hall    │
-    // ├─────┴────────┼───────────────┤
-    // │ Staircase    │  Balcony      │
-    // └──────────────┴───────────────┘
-
-    const lobbyH = Math.max(5, Math.round(bD * 0.18));
-    const balcH = hasBalcony ? Math.max(4, Math.round(bD * 0.16)) : 0;
-    const stairH = Math.max(8, Math.round(bD * 0.28));
-    const bedH = bD - lobbyH - (hasBalcony ? balcH : stairH);
-
-    // If stair + balcony both exist, overlap them in bottom row
-    const botRowH = Math.max(stairH, balcH);
-    const topRowH = bD - lobbyH - botRowH;
-    const stairW = Math.max(7, Math.round(bW * 0.32));
-
-    // Bedroom A (left)
-    rooms.push({
-      id: `bed_${floorIdx}_a`, name: `Bedroom ${floorIdx + 1}`, type: "bedroom",
-      x: 0, y: 0, w: leftW, h: topRowH,
-      zone: "SW", color: "#2a3a2e",
-      vastu: "SW zone — primary bedroom, stability",
-    });
-    windows.push({ x: 0, ym: topRowH * 0.3, len: Math.min(5, leftW * 0.35), side: "left", room: `bed_${floorIdx}_a` });
-    windows.push({ xm: leftW * 0.25, y: 0, len: Math.min(4, leftW * 0.3), side: "top", room: `bed_${floorIdx}_a` });
+  // Brahmasthan: the centre should stay open. Toilets or a staircase over
+  // it on any floor, or wall junctions on the ground floor where the
+  // columns would stand, weigh it down.
+  if (ground?.bW && ground.bD) {
+    const weight = 10;
+    const core = brahmasthan(setback, ground.bW, ground.bD);
+    const overlap = (r) => Math.max(0, Math.min(r.x + r.w, core.x + core.w) - Math.max(r.x, core.x))
+      * Math.max(0, Math.min(r.y + r.h, core.y + core.h) - Math.max(r.y, core.y));
+    const inside = (x, y) => x > core.x && x < core.x + core.w && y > core.y && y < core.y + core.h;
+    let lost = 0;
+    // A room is over it when at least a quarter of the room is
+    const over = (type) => [...new Set(allPlans.flatMap(p => p.rooms.filter(r => r.type === type && overlap(r) >= (r.w * r.h) / 4).map(r => r.name)))];
+    const toilets = over("toilet");
+    if (toilets.length) {
+      lost += weight;
+      tips.push({ type: "bad", text: `✗ ${toilets.join(", ")} in the Brahmasthan — the centre must never take a toilet`, remedies: remediesFor("brahmasthan:toilet") });
+    }
+    const stairs = over("staircase");
+    if (stairs.length) {
+      lost += 6;
+      tips.push({ type: "bad", text: "✗ Staircase over the Brahmasthan — move it to the SW, S or W", remedies: remediesFor("brahmasthan:staircase") });
+    }
+    // A corner shared by three or more rooms is a junction that carries a column
+    const corners = {};
+    for (const r of ground.rooms.filter(r => !r.isOpen)) {
+      for (const [x, y] of [[r.x, r.y], [r.x + r.w, r.y], [r.x, r.y + r.h], [r.x + r.w, r.y + r.h]]) {
+        if (inside(x, y)) corners[`${x},${y}`] = (corners[`${x},${y}`] || 0) + 1;
+      }
+    }
+    const columns = Object.values(corners).filter(n => n >= 3).length;
+    if (columns) {
+      lost += 3;
+      tips.push({ type: "warn", text: `~ ${columns} wall junction${columns > 1 ? "s" : ""} in the Brahmasthan — keep columns and heavy loads off the centre`, remedies: remediesFor("brahmasthan:columns") });
+    }
+    // Open: at least half the centre left to halls, passages and open space
+    const open = ground.rooms.filter(r => r.isOpen || r.type === "passage" || r.type === "family_hall")
+      .reduce((sum, r) => sum + overlap(r), 0) / (core.w * core.h);
+    if (open >= 0.5) {
+      tips.push({ type: "good", text: `✓ Brahmasthan kept open — ${Math.round(open * 100)}% hall and circulation` });
+    } else {
+      lost += 4;
+      tips.push({ type: "warn", text: `~ Brahmasthan only ${Math.round(open * 100)}% open — a central hall or courtyard is ideal`, remedies: remediesFor("brahmasthan:closed") });
+    }
+    count({ item: "Brahmasthan", zone: "C", verdict: !lost ? "Open" : lost < weight ? "Partly blocked" : "Blocked", points: Math.max(0, weight - lost), max: weight });
+  }
 
-    // Bedroom B or Family Hall (right)
-    if (bedsThisFloor >= 2) {
-      rooms.push({
-        id: `bed_${floorIdx}_b`, name: `Bedroom ${floorIdx + 2}`, type: "bedroom",
-        x: leftW, y: 0, w: rightW, h: topRowH,
-        zone: "NE", color: "#2e2a38",
-        vastu: "NE zone — children/guest bedroom",
-      });
-      windows.push({ x: bW, ym: topRowH * 0.35, len: Math.min(5, rightW * 0.35), side: "right", room: `bed_${floorIdx}_b` });
-      windows.push({ xm: leftW + rightW * 0.35, y: 0, len: Math.min(4, rightW * 0.3), side: "top", room: `bed_${floorIdx}_b` });
+  // Corner plot: roads meeting at the NE open the plot to light and are the
+  // best; meeting at the SW, the worst
+  if (sideBearing != null) {
+    const weight = 6;
+    const rad = (b) => (b * Math.PI) / 180;
+    const corner = facingOf((Math.atan2(Math.sin(rad(bearing)) + Math.sin(rad(sideBearing)), Math.cos(rad(bearing)) + Math.cos(rad(sideBearing))) * 180) / Math.PI);
+    const roads = `Roads meet at the ${corner} corner`;
+    count({ item: "Corner plot", zone: corner, verdict: corner === "NE" ? "Ideal" : corner === "SW" ? "Poor" : "Acceptable", points: corner === "NE" ? weight : corner === "SW" ? 0 : weight / 2, max: weight });
+    if (corner === "NE") {
+      tips.push({ type: "good", text: `✓ ${roads} (Ishanya) — the most auspicious corner plot` });
+    } else if (corner === "SW") {
+      tips.push({ type: "bad", text: `✗ ${roads} (Nairutya) — keep the SW closed with a high compound wall`, remedies: remediesFor("corner:SW") });
     } else {
-      rooms.push({
-        id: `hall_${floorIdx}`, name: "Family Hall", type: "family_hall",
-        x: leftW, y: 0, w: rightW, h: topRowH,
-        zone: "NE", color: "#1e2e2e",
-        vastu: "NE — family gathering, study area",
-      });
-      windows.push({ x: bW, ym: topRowH * 0.4, len: Math.min(5, rightW * 0.4), side: "right", room: `hall_${floorIdx}` });
+      tips.push({ type: "ok", text: `~ ${roads} — an acceptable corner plot` });
     }
+  }
 
-    // Third bedroom carve-out
-    if (bedsThisFloor >= 3 && bW > 22) {
-      const bed3W = Math.round(rightW * 0.5);
-      rooms.push({
-        id: `bed_${floorIdx}_c`, name: `Bedroom ${floorIdx + 3}`, type: "bedroom",
-        x: leftW + rightW - bed3W, y: 0, w: bed3W, h: Math.round(topRowH * 0.55),
-        zone: "E", color: "#2a2a30",
-        vastu: "East zone — morning sun for children",
-      });
+  // Plot shape: a cut NE is the gravest defect, an extended NE a blessing
+  if (outline) {
+    const weight = 10;
+    let lost = 0;
+    const defects = [];
+    for (const { zone, state } of plotCorners(outline, bearing)) {
+      if (state === "full") continue;
+      defects.push(`${zone} ${state}`);
+      if (zone === "NE" && state === "extended") {
+        tips.push({ type: "good", text: "✓ Plot extends in the NE (Ishanya) — auspicious" });
+      } else if (zone === "NE") {
+        lost += weight;
+        tips.push({ type: "bad", text: "✗ Plot cut in the NE (Ishanya) corner — the most serious plot defect", remedies: remediesFor("shape:NE-cut") });
+      } else if (zone === "SW") {
+        lost += 6;
+        tips.push({ type: "bad", text: `✗ Plot ${state === "cut" ? "cut in" : "extends in"} the SW (Nairutya) corner — weakens stability; square it off with a compound wall`, remedies: remediesFor("shape:SW") });
+      } else {
+        lost += 3;
+        tips.push({ type: "warn", text: `~ Plot ${state === "cut" ? "cut in" : "extends in"} the ${zone} corner — a minor defect, remedies advised`, remedies: remediesFor("shape:minor") });
+      }
     }
+    count({ item: "Plot shape", zone: defects.join(", ") || "—", verdict: !lost ? "Sound" : lost < weight ? "Minor defects" : "Serious defect", points: Math.max(0, weight - lost), max: weight });
+  }
+
+  const floors = allPlans.map(plan => {
+    const own = rows.filter(r => r.floor === plan.label);
+    const max = own.reduce((sum, r) => sum + r.max, 0);
+    return { floor: plan.floor, label: plan.label, score: max ? Math.max(0, Math.round((own.reduce((sum, r) => sum + r.points, 0) / max) * 100)) : null };
+  });
+  return { score: Math.max(0, Math.round((score / maxScore) * 100)), tips, forbidden, rows, floors };
+}
 
-    // ── LOBBY / PASSAGE ROW
-    const bathW = Math.max(4, Math.round(leftW * 0.4));
-    const bathH = lobbyH;
+// Optional spaces given up, in this order, when the full program leaves
+// rooms below MIN_ROOM_SIZES. `placed` tells whether a plan still has one.
+const DEGRADE_ORDER = [
+  { key: "utility", label: "Utility", placed: (rooms) => rooms.some(r => r.type === "utility") },
+  { key: "store", label: "Store Room", placed: (rooms) => rooms.some(r => r.type === "store") },
+  { key: "pooja", label: "Pooja Room", placed: (rooms) => rooms.some(r => r.type === "pooja") },
+  { key: "common_bath", label: "Common Bath", placed: (rooms) => rooms.some(r => r.type === "toilet" && r.id.endsWith("_c")) },
+  { key: "bedroom", label: "Second Bedroom", placed: (rooms) => rooms.filter(r => r.type === "master_bed" || r.type === "bedroom").length >= 2 },
+];
 
-    rooms.push({
-      id: `bath_${floorIdx}_a`, name: "Attached Bath", type: "toilet",
-      x: 0, y: topRowH, w: bathW, h: bathH,
-      zone: "NW", color: "#1a2a3a",
-      vastu: "NW — water element for drainage",
-      isWet: true,
+// A plan fits when it draws cleanly and every room meets its minimum size
+const planFits = (result) => !result.errors.length && !result.warnings.some(w => w.kind === "min_size");
+const planMisfits = (result) => result.errors.length * 100 + result.warnings.filter(w => w.kind === "min_size").length;
+
+// Settings a plan's fit hangs on; the rest (Vastu profile, beam span, …)
+// leave minimumPlot's answer alone
+const FIT_SETTINGS = [
+  "plotWidth", "plotDepth", "plotShape", "facing", "bearing", "floors", "bedrooms", "bathrooms",
+  "hasPooja", "hasBalcony", "hasParking", "hasStore", "units", "rules", "customRules",
+  "roadWidth", "cornerRoad", "sideRoadWidth", "entranceRoad",
+];
+
+// Smallest rectangular plot of the same proportions (a shaped plot's
+// bounding box), within the configurator's limits, on which some layout
+// variant takes the full program: nothing dropped and every room at its
+// minimum size. Found by bisection, taking a plot that fits to fit when
+// made larger.
+function minimumPlot(config) {
+  const ratio = config.plotDepth / config.plotWidth;
+  const sized = (w) => ({ ...config, plotShape: null, plotWidth: w, plotDepth: Math.min(PLOT_LIMITS.max, Math.max(PLOT_LIMITS.min, Math.round(w * ratio))) });
+  const fits = (w) => LAYOUT_VARIANTS.some(variant => {
+    const result = planLayout(sized(w), [], variant);
+    return planFits(result) && !result.warnings.some(warn => warn.kind === "dropped");
+  });
+  if (!fits(PLOT_LIMITS.max)) return null;
+  let [lo, hi] = [PLOT_LIMITS.min, PLOT_LIMITS.max];
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (fits(mid)) hi = mid;
+    else lo = mid + 1;
+  }
+  const { plotWidth, plotDepth } = sized(lo);
+  return { plotWidth, plotDepth };
+}
+
+// Share of the enclosed floor area that is usable room, rather than
+// circulation, with long thin rooms counted at a discount (0-100)
+function spaceEfficiency(plans) {
+  let total = 0;
+  let usable = 0;
+  for (const r of plans.flatMap(p => p.rooms)) {
+    if (r.isOpen || r.isOutside || !(r.w > 0 && r.h > 0)) continue;
+    const area = r.w * r.h;
+    total += area;
+    if (r.type === "passage") continue;
+    const aspect = Math.max(r.w, r.h) / Math.min(r.w, r.h);
+    usable += area * Math.min(1, 2 / aspect);
+  }
+  return total ? Math.round((usable / total) * 100) : 0;
+}
+
+// Lay out one variant with the full program; when rooms don't fit, shed
+// optional spaces in DEGRADE_ORDER until they do
+function fitProgram(config, variant) {
+  const full = planLayout(config, [], variant);
+  if (planFits(full)) return { result: full, sacrificed: [], degraded: false };
+
+  let best = full;
+  let bestOmit = [];
+  let current = full;
+  const omit = [];
+  for (const item of DEGRADE_ORDER) {
+    if (!item.placed(current.plans.flatMap(p => p.rooms))) continue;
+    omit.push(item.key);
+    current = planLayout(config, omit, variant);
+    if (planMisfits(current) < planMisfits(best)) {
+      best = current;
+      bestOmit = [...omit];
+    }
+    if (planFits(current)) break;
+  }
+  const sacrificed = DEGRADE_ORDER.filter(item => bestOmit.includes(item.key)).map(item => item.label);
+  return { result: best, sacrificed, degraded: true };
+}
+
+// Lay out every LAYOUT_VARIANT and return the best `count`, ranked by
+// drawability, rooms kept at minimum size, optional spaces kept, then a
+// blend of Vastu score and space efficiency. Each entry is a full layout
+// result with its `efficiency` and `rating`.
+function createLayoutEngine(config, count = 5) {
+  const seen = new Set();
+  const options = [];
+  for (const variant of LAYOUT_VARIANTS) {
+    const option = fitProgram(config, variant);
+    const key = option.result.plans.map(p => p.rooms.map(r => `${r.id}:${r.x},${r.y},${r.w},${r.h}`).join(";")).join("|");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const efficiency = spaceEfficiency(option.result.plans);
+    options.push({ ...option, variant, efficiency, rating: Math.round(option.result.vastuResult.score * 0.7 + efficiency * 0.3) });
+  }
+
+  const misfits = (o) => planMisfits(o.result) + o.result.warnings.filter(w => w.kind === "entry" || w.kind === "access").length;
+  // Rooms in zones the Vastu profile forbids rank a layout below any without
+  const forbidden = (o) => o.result.vastuResult.forbidden;
+  options.sort((a, b) => misfits(a) - misfits(b) || a.sacrificed.length - b.sacrificed.length || forbidden(a) - forbidden(b) || b.rating - a.rating);
+
+  // Best of each room arrangement first, so the options differ by more than
+  // a foot here and there
+  const arrangement = (o) => [o.variant.stair, o.variant.kitchen, o.variant.swapLiving].join("/");
+  const firsts = options.filter((o, i) => options.findIndex(other => arrangement(other) === arrangement(o)) === i);
+  const top = [...firsts, ...options.filter(o => !firsts.includes(o))].slice(0, count);
+  const minPlot = top.some(o => o.degraded) ? minimumPlot(config) : null;
+  return top.map(({ result, sacrificed, degraded, variant, efficiency, rating }) => {
+    if (!degraded) return { ...result, sacrificed, minPlot, variant, efficiency, rating };
+    const { length } = unitsOf(config.units);
+    const fullSize = minPlot
+      ? `A ${length(minPlot.plotWidth)} × ${length(minPlot.plotDepth)} plot fits the full program.`
+      : `The full program does not fit any plot up to ${length(PLOT_LIMITS.max)} × ${length(PLOT_LIMITS.max)}.`;
+    const text = !sacrificed.length
+      ? `Plot too small for the full program, and giving up optional spaces does not help. ${fullSize}`
+      : planFits(result)
+        ? `Plot too small for the full program — gave up ${sacrificed.join(", ")} to keep every room at its minimum size. ${fullSize}`
+        : `Plot too small for the full program — gave up ${sacrificed.join(", ")}, and some rooms are still below their minimum size. ${fullSize}`;
+    return { ...result, warnings: [{ kind: "degraded", floor: null, rooms: [], text }, ...result.warnings], sacrificed, minPlot, variant, efficiency, rating };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// PLAN EDITING — move walls and swap rooms on a generated plan
+// ═══════════════════════════════════════════════════════════
+
+// Narrowest a room may be dragged down to, in feet; MIN_ROOM_SIZES still warns
+const MIN_EDIT_SIDE = 3;
+
+// Move the wall on one side of a room by `delta` grid steps (+ right / down).
+// The wall is followed along its whole length, so every room on either
+// side of it grows or shrinks together and no gap or overlap opens. The
+// building's outer walls stay put. Returns the edited plan and the delta
+// actually applied (clamped so no room drops below MIN_EDIT_SIDE), or
+// null when the wall can't move.
+function moveWall(plan, roomId, side, delta) {
+  const room = plan.rooms.find(r => r.id === roomId);
+  if (!room || room.isOpen || !delta) return null;
+  const vertical = side === "left" || side === "right";
+  const [pos, size, from, span] = vertical ? ["x", "w", "y", "h"] : ["y", "h", "x", "w"];
+  const at = side === "left" || side === "top" ? room[pos] : room[pos] + room[size];
+  if (at <= 0 || at >= (vertical ? plan.bW : plan.mainD)) return null;
+
+  // Rooms of the main block with an edge on this wall line, grown outwards
+  // from the selected room while their spans overlap
+  const block = plan.rooms.filter(r => !r.isOutside && r.y + r.h <= plan.mainD);
+  const wall = [];
+  let [lo, hi] = [room[from], room[from] + room[span]];
+  for (let grown = true; grown;) {
+    grown = false;
+    for (const r of block) {
+      if (wall.includes(r) || (r[pos] !== at && r[pos] + r[size] !== at)) continue;
+      if (r[from] >= hi || r[from] + r[span] <= lo) continue;
+      wall.push(r);
+      lo = Math.min(lo, r[from]);
+      hi = Math.max(hi, r[from] + r[span]);
+      grown = true;
+    }
+  }
+  const before = wall.filter(r => r[pos] + r[size] === at);
+  const after = wall.filter(r => r[pos] === at);
+  if (!before.length || !after.length) return null;
+  const minSide = toSteps(MIN_EDIT_SIDE, unitsOf(plan.units));
+  const least = Math.max(...before.map(r => minSide - r[size]));
+  const most = Math.min(...after.map(r => r[size] - minSide));
+  const applied = Math.min(most, Math.max(least, delta));
+  if (!applied) return null;
+
+  const rooms = plan.rooms.map(r => before.includes(r) ? { ...r, [size]: r[size] + applied }
+    : after.includes(r) ? { ...r, [pos]: r[pos] + applied, [size]: r[size] - applied }
+      : { ...r });
+  return { plan: placeOpenings({ ...plan, rooms }), delta: applied };
+}
+
+// Trade the positions of two enclosed rooms on the same floor
+function swapRooms(plan, idA, idB) {
+  const a = plan.rooms.find(r => r.id === idA);
+  const b = plan.rooms.find(r => r.id === idB);
+  if (!a || !b || a === b || a.isOpen || b.isOpen) return null;
+  const box = (r) => ({ x: r.x, y: r.y, w: r.w, h: r.h });
+  const rooms = plan.rooms.map(r => r === a ? { ...a, ...box(b) } : r === b ? { ...b, ...box(a) } : { ...r });
+  return placeOpenings({ ...plan, rooms });
+}
+
+// Doors and windows again from the plan's door links, after rooms moved
+function placeOpenings(plan) {
+  const units = unitsOf(plan.units);
+  const doors = placeDoors(plan.rooms, plan.links, units);
+  if (plan.floor === 0) doors.push(placeEntrance(plan.rooms, plan.mainD, units, plan.bearing));
+  return { ...plan, doors, windows: placeWindows(plan.rooms, plan.bW, plan.mainD, units) };
+}
+
+// Zones, furniture, Vastu score, checks and efficiency for edited plans of a layout
+function evaluatePlans(given, layout, plans) {
+  const config = plannedConfig(given);
+  const bearing = plotBearing(config);
+  const zoned = furnishPlans(zoneRooms(plans, bearing, layout.bW, layout.bD), bearing);
+  const { errors, warnings, bylaws } = validatePlans(zoned, { config, setback: layout.setback, bW: layout.bW, bD: layout.bD, rules: layout.rules });
+  return {
+    ...layout,
+    plans: zoned,
+    errors,
+    warnings: [...layout.warnings.filter(w => w.kind === "degraded"), ...warnings],
+    bylaws,
+    vastuResult: scoreVastu(zoned, bearing, layout.setback, zoned[0].outline, sideRoadBearing(config), vastuProfileOf(config)),
+    efficiency: spaceEfficiency(zoned),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// PROJECTS — browser library and JSON project files
+// ═══════════════════════════════════════════════════════════
+
+// Project file, schema version 1:
+//   kind           "vastuplan-project"
+//   schemaVersion  1
+//   id             string, stable across saves of the same project
+//   clientName     string
+//   siteAddress    string
+//   savedAt        ISO date string
+//   config         configurator settings (plotWidth, plotDepth, facing,
+//                  bearing, floors, bedrooms, bathrooms, hasPooja, hasBalcony,
+//                  hasParking, hasStore, units, areaUnit, rules,
+//                  roadWidth, cornerRoad, sideRoadWidth, entranceRoad,
+//                  customRules, plotShape, vastuProfile, customVastu,
+//                  maxSpan;
+//                  settings a file lacks take their defaults)
+//   option         index of the chosen layout option
+//   edits          edited plans, or null for the generated layout
+//   plans          plans as they were on screen when saved
+//   snapshots      [{ id, name, state: { config, option, edits }, summary }]
+const PROJECT_KIND = "vastuplan-project";
+const PROJECT_SCHEMA_VERSION = 1;
+const PROJECT_STORAGE_KEY = "vastuplan.projects";
+
+// Upgrades for older files, keyed by the version each one upgrades from.
+// A change to the file layout bumps PROJECT_SCHEMA_VERSION and adds the
+// step from the previous version here.
+const PROJECT_MIGRATIONS = {};
+
+function migrateProject(data) {
+  let project = data;
+  while (project.schemaVersion < PROJECT_SCHEMA_VERSION) {
+    const step = PROJECT_MIGRATIONS[project.schemaVersion];
+    if (!step) throw new Error(`No upgrade from project version ${project.schemaVersion}`);
+    project = { ...step(project), schemaVersion: project.schemaVersion + 1 };
+  }
+  return project;
+}
+
+// Check a parsed file and bring it up to the current schema. Throws with a
+// message fit to show the user.
+function readProject(data) {
+  if (!data || data.kind !== PROJECT_KIND) throw new Error("Not a VastuPlan project file");
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) throw new Error("Project file has no valid schema version");
+  if (data.schemaVersion > PROJECT_SCHEMA_VERSION) throw new Error("Project was saved by a newer version of VastuPlan");
+  const project = migrateProject(data);
+
+  const c = project.config || {};
+  const inPlot = (v) => Number.isFinite(v) && v >= PLOT_LIMITS.min && v <= PLOT_LIMITS.max;
+  if (!inPlot(c.plotWidth) || !inPlot(c.plotDepth)) throw new Error("Project has an invalid plot size");
+  if (!FACING_META[c.facing] || (c.bearing != null && !(c.bearing >= 0 && c.bearing < 360))) throw new Error("Project has an invalid facing");
+  if (![1, 2, 3].includes(c.floors) || !Number.isInteger(c.bedrooms) || !Number.isInteger(c.bathrooms)) throw new Error("Project has an invalid room program");
+  const isPlans = (v) => Array.isArray(v) && v.every(p => p && Array.isArray(p.rooms) && Array.isArray(p.links));
+  if (project.edits != null && !isPlans(project.edits)) throw new Error("Project has unreadable plan edits");
+  // A plot shape that can't be read falls back to the rectangle around it
+  const checkShape = (config) => ({ ...config, plotShape: plotShapeValid(config.plotShape) ? config.plotShape : null });
+
+  return {
+    id: String(project.id || `p${Date.now()}`),
+    clientName: String(project.clientName || ""),
+    siteAddress: String(project.siteAddress || ""),
+    savedAt: project.savedAt || null,
+    config: { ...DEFAULT_CONFIG, ...checkShape(c), units: unitsOf(c.units).key, areaUnit: AREA_UNITS[c.areaUnit] ? c.areaUnit : null, rules: ruleSetOf(c).id, vastuProfile: vastuProfileOf(c).id, customVastu: vastuRoomsOf(c.customVastu) },
+    option: Number.isInteger(project.option) ? project.option : 0,
+    edits: project.edits || null,
+    plans: isPlans(project.plans) ? project.plans : null,
+    snapshots: Array.isArray(project.snapshots)
+      ? project.snapshots.filter(s => s && s.state && s.state.config).map(s => ({ ...s, state: { ...s.state, config: checkShape(s.state.config) } }))
+      : [],
+  };
+}
+
+// The plans a project opens with. When the engine now lays the same
+// settings out differently, the saved plans are kept as edits so the
+// project reopens exactly as it was.
+function projectEdits(project) {
+  if (project.edits || !project.plans) return project.edits;
+  const layout = createLayoutEngine(project.config)[project.option];
+  const shape = (plans) => JSON.stringify(plans.map(p => p.rooms.map(r => [r.id, r.x, r.y, r.w, r.h])));
+  return layout && shape(layout.plans) === shape(project.plans) ? null : project.plans;
+}
+
+// Browser library: a list of project files in localStorage, kept as saved
+// and read on opening. Loading skips anything unreadable; saving returns an
+// error message, or null.
+function loadLibrary() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PROJECT_STORAGE_KEY) || "[]");
+    return list.filter(item => {
+      try { return Boolean(readProject(item)); } catch { return false; }
     });
+  } catch {
+    return [];
+  }
+}
 
-    if (bathsThisFloor >= 2) {
-      rooms.push({
-        id: `bath_${floorIdx}_c`, name: "Common Bath", type: "toilet",
-        x: bW - bathW, y: topRowH, w: bathW, h: bathH,
-        zone: "W", color: "#1a2a3a",
-        vastu: "West — second bathroom",
-        isWet: true,
-      });
+function saveLibrary(list) {
+  try {
+    localStorage.setItem(PROJECT_STORAGE_KEY, JSON.stringify(list));
+    return null;
+  } catch {
+    return "Could not save to this browser's storage";
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// SHAREABLE LINKS — config in the URL query
+// ═══════════════════════════════════════════════════════════
+
+// ?w=30&d=40&facing=E&floors=2&bed=3&bath=3&pooja=1&balcony=1&parking=0&store=1&units=imperial
+//  &rules=typical&road=30&corner=none&vastu=moderate&floor=0
+// A corner plot adds sroad=30 (side road width) and door=main or side.
+// Plot and road sizes are in feet, to two decimals for plots entered in
+// metres. A custom rule set adds cr=front,rear,side,sidesFromWidth,
+// cornerSide,coverage,far,maxHeight,balconyCounted,porchCounted in
+// DEFAULT_CUSTOM_RULES order. A shaped plot adds corners=x,y;x,y;… or
+// sides=a,b,…&diag=p,q,… as entered, w and d then being its bounding box.
+// A plot off the eight facings adds bearing=degrees, which sets the facing.
+// A custom Vastu profile adds cv=room.weight.zones,… where zones has a
+// letter per zone in VASTU_ZONES order: i ideal, a acceptable, f forbidden,
+// - none, and a cvr=room:text for each remedy edited away from the stock
+// one; room names are the stock ones.
+const LINK_TOGGLES = { pooja: "hasPooja", balcony: "hasBalcony", parking: "hasParking", store: "hasStore" };
+const LINK_ZONE_MARKS = { ideal: "i", acceptable: "a", forbidden: "f" };
+
+function configToQuery(config, floor = 0) {
+  const params = new URLSearchParams({
+    w: Math.round(config.plotWidth * 100) / 100, d: Math.round(config.plotDepth * 100) / 100, facing: config.facing,
+    floors: config.floors, bed: config.bedrooms, bath: config.bathrooms,
+  });
+  for (const [param, key] of Object.entries(LINK_TOGGLES)) params.set(param, config[key] ? "1" : "0");
+  params.set("units", unitsOf(config.units).key);
+  if (AREA_UNITS[config.areaUnit]) params.set("area", config.areaUnit);
+  params.set("rules", ruleSetOf(config).id);
+  params.set("road", Math.round((config.roadWidth ?? DEFAULT_CONFIG.roadWidth) * 100) / 100);
+  params.set("corner", config.cornerRoad || "none");
+  if (hasSideRoad(config)) {
+    params.set("sroad", Math.round((config.sideRoadWidth ?? DEFAULT_CONFIG.sideRoadWidth) * 100) / 100);
+    params.set("door", config.entranceRoad === "side" ? "side" : "main");
+  }
+  if (config.bearing != null) params.set("bearing", config.bearing);
+  const shape = config.plotShape;
+  const feet = (v) => Math.round(v * 100) / 100;
+  if (shape?.mode === "corners") params.set("corners", shape.corners.map(c => c.map(feet).join(",")).join(";"));
+  if (shape?.mode === "sides") {
+    params.set("sides", shape.sides.map(feet).join(","));
+    params.set("diag", shape.diagonals.map(feet).join(","));
+  }
+  if (config.rules === "custom") params.set("cr", Object.keys(DEFAULT_CUSTOM_RULES).map(k => ({ ...DEFAULT_CUSTOM_RULES, ...config.customRules })[k]).join(","));
+  const profile = vastuProfileOf(config);
+  params.set("vastu", profile.id);
+  if (profile.id === "custom") {
+    const marks = (rule) => Object.keys(VASTU_ZONES).map(z => LINK_ZONE_MARKS[Object.keys(LINK_ZONE_MARKS).find(k => rule[k].includes(z))] || "-").join("");
+    params.set("cv", profile.rooms.map(r => `${r.room}.${r.weight}.${marks(r)}`).join(","));
+    for (const r of profile.rooms) if (r.remedy !== VASTU_ROOMS[r.room].remedy) params.append("cvr", `${r.room}:${r.remedy}`);
+  }
+  params.set("span", Math.round((config.maxSpan ?? DEFAULT_CONFIG.maxSpan) * 100) / 100);
+  params.set("floor", floor);
+  return params.toString();
+}
+
+// Config and floor tab from a query string, or null when it doesn't carry
+// a plan. Missing values fall back to the defaults; out-of-range ones are
+// clamped to the configurator's limits.
+function configFromQuery(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has("w") && !params.has("d") && !params.has("facing")) return null;
+  const num = (name, fallback, min, max, places = 0) => {
+    const v = Math.round(Number(params.get(name)) * 10 ** places) / 10 ** places;
+    return params.has(name) && Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : fallback;
+  };
+  const facing = (params.get("facing") || "").toUpperCase();
+  const floors = num("floors", DEFAULT_CONFIG.floors, FLOOR_LIMITS.min, FLOOR_LIMITS.max);
+  const bedrooms = num("bed", Math.min(DEFAULT_CONFIG.bedrooms, maxBedrooms(floors)), 1, maxBedrooms(floors));
+  const config = {
+    plotWidth: num("w", DEFAULT_CONFIG.plotWidth, PLOT_LIMITS.min, PLOT_LIMITS.max, 2),
+    plotDepth: num("d", DEFAULT_CONFIG.plotDepth, PLOT_LIMITS.min, PLOT_LIMITS.max, 2),
+    facing: FACING_META[facing] ? facing : DEFAULT_CONFIG.facing,
+    floors,
+    bedrooms,
+    bathrooms: num("bath", Math.min(DEFAULT_CONFIG.bathrooms, maxBathrooms(bedrooms)), 1, maxBathrooms(bedrooms)),
+  };
+  for (const [param, key] of Object.entries(LINK_TOGGLES)) {
+    config[key] = params.has(param) ? params.get(param) === "1" : DEFAULT_CONFIG[key];
+  }
+  config.units = UNIT_SYSTEMS[params.get("units")] ? params.get("units") : DEFAULT_CONFIG.units;
+  config.areaUnit = AREA_UNITS[params.get("area")] ? params.get("area") : null;
+  config.rules = params.get("rules") === "custom" || RULE_SETS[params.get("rules")] ? params.get("rules") : DEFAULT_CONFIG.rules;
+  config.roadWidth = num("road", DEFAULT_CONFIG.roadWidth, ROAD_LIMITS.min, ROAD_LIMITS.max, 2);
+  config.cornerRoad = ["left", "right"].includes(params.get("corner")) ? params.get("corner") : "none";
+  config.sideRoadWidth = num("sroad", DEFAULT_CONFIG.sideRoadWidth, ROAD_LIMITS.min, ROAD_LIMITS.max, 2);
+  config.entranceRoad = params.get("door") === "side" ? "side" : "main";
+  config.bearing = num("bearing", null, 0, 359);
+  config.maxSpan = num("span", DEFAULT_CONFIG.maxSpan, SPAN_LIMITS.min, SPAN_LIMITS.max, 2);
+  if (config.bearing != null) config.facing = facingOf(config.bearing);
+  if (config.rules === "custom") {
+    const values = (params.get("cr") || "").split(",").map(v => (v.trim() ? Number(v) : NaN));
+    config.customRules = Object.fromEntries(Object.entries(DEFAULT_CUSTOM_RULES).map(([k, fallback], i) => [k, values[i] >= 0 ? values[i] : fallback]));
+  } else {
+    config.customRules = null;
+  }
+  config.vastuProfile = params.get("vastu") === "custom" || VASTU_PROFILES[params.get("vastu")] ? params.get("vastu") : DEFAULT_CONFIG.vastuProfile;
+  const remedies = Object.fromEntries(params.getAll("cvr").map(entry => [entry.slice(0, entry.indexOf(":")), entry.slice(entry.indexOf(":") + 1)]));
+  config.customVastu = config.vastuProfile === "custom" && params.has("cv")
+    ? vastuRoomsOf((params.get("cv") || "").split(",").map(entry => {
+      const [room, weight = "", marks = ""] = entry.split(".");
+      const zones = (mark) => Object.keys(VASTU_ZONES).filter((z, i) => marks[i] === mark);
+      return { room, weight: weight.trim() ? Number(weight) : NaN, remedy: remedies[room], ...Object.fromEntries(Object.entries(LINK_ZONE_MARKS).map(([k, mark]) => [k, zones(mark)])) };
+    }))
+    : null;
+  const list = (name) => (params.get(name) || "").split(",").filter(v => v.trim()).map(Number);
+  const shape = params.has("corners")
+    ? { mode: "corners", corners: params.get("corners").split(";").map(c => c.split(",").map(Number)) }
+    : params.has("sides") ? { mode: "sides", sides: list("sides"), diagonals: list("diag") } : null;
+  return { config: withPlotShape(config, plotShapeValid(shape) ? shape : null), floor: num("floor", 0, 0, floors - 1) };
+}
+
+// ═══════════════════════════════════════════════════════════
+// EXPORT — standalone SVG, PNG and a PDF drawing set, all in the browser
+// ═══════════════════════════════════════════════════════════
+
+// Fonts the drawing uses, bundled with the app and embedded as data URLs so
+// exported files look the same offline. Fetched only when something is exported.
+const EXPORT_FONTS = [
+  { family: "Outfit", weight: 400, load: () => import("@fontsource/outfit/files/outfit-latin-400-normal.woff2?url") },
+  { family: "Outfit", weight: 600, load: () => import("@fontsource/outfit/files/outfit-latin-600-normal.woff2?url") },
+  { family: "JetBrains Mono", weight: 400, load: () => import("@fontsource/jetbrains-mono/files/jetbrains-mono-latin-400-normal.woff2?url") },
+  { family: "JetBrains Mono", weight: 700, load: () => import("@fontsource/jetbrains-mono/files/jetbrains-mono-latin-700-normal.woff2?url") },
+];
+let exportFontCss = null;
+
+function blobToDataUrl(blob) {
+  return new Promise((done, fail) => {
+    const reader = new FileReader();
+    reader.onload = () => done(reader.result);
+    reader.onerror = () => fail(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function loadExportFonts() {
+  if (!exportFontCss) {
+    const faces = await Promise.all(EXPORT_FONTS.map(async f => {
+      const { default: url } = await f.load();
+      const data = await blobToDataUrl(await (await fetch(url)).blob());
+      return `@font-face { font-family: '${f.family}'; font-weight: ${f.weight}; src: url(${data.replace(/^data:[^;]*/, "data:font/woff2")}) format('woff2'); }`;
+    }));
+    exportFontCss = faces.join("\n");
+  }
+  return exportFontCss;
+}
+
+// Standalone SVG document for one floor, fonts included
+async function floorPlanMarkup(props) {
+  const [{ renderToStaticMarkup }, fontCss] = await Promise.all([import("react-dom/server"), loadExportFonts()]);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderToStaticMarkup(<FloorPlanSVG {...props} standalone fontCss={fontCss} />)}`;
+}
+
+// Draw SVG markup onto a canvas `scale` times its own size
+async function rasterize(markup, scale) {
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Encode a canvas, rejecting when the browser can't (e.g. it is too large)
+function canvasBlob(canvas, type) {
+  return new Promise((resolve, reject) => canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("the image could not be encoded"))), type));
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─── PDF WRITER ───
+// Just enough PDF for a drawing set: pages of JPEG images, lines, boxes
+// and text in the standard Helvetica faces, so no font or library needs
+// embedding. Page coordinates are in points from the top-left corner.
+
+// Helvetica's WinAnsi encoding covers Latin-1 and a few typographic marks;
+// anything else is spelled out or dropped
+const PDF_WINANSI = { "—": 0x97, "–": 0x96, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "…": 0x85 };
+const PDF_SPELLED = { "✓": "+", "✗": "x", "→": "->", "←": "<-", "↑": "^", "↓": "v", "₹": "Rs ", "☸": "", "⚠": "!" };
+
+function pdfString(text) {
+  let out = "";
+  for (const ch of [...String(text)].map(c => PDF_SPELLED[c] ?? c).join("")) {
+    const code = PDF_WINANSI[ch] ?? ch.charCodeAt(0);
+    if (code > 255 || ch.length > 1) continue;
+    out += ch === "(" || ch === ")" || ch === "\\" ? `\\${ch}` : code < 32 || code > 126 ? `\\${code.toString(8).padStart(3, "0")}` : ch;
+  }
+  return `(${out})`;
+}
+
+// pages: [{ width, height, items: [...] }] with items
+//   { kind: "text", x, y, text, size, bold, color: [r, g, b] }   (y = baseline)
+//   { kind: "line", x1, y1, x2, y2, width, color }
+//   { kind: "rect", x, y, w, h, width, color, fill }
+//   { kind: "image", x, y, w, h, jpeg, pxW, pxH }                 (jpeg = binary string)
+// Returns the file as a Blob.
+function buildPdf(pages) {
+  const objects = []; // binary strings, object n at index n - 1
+  const add = (body) => { objects.push(body); return objects.length; };
+  const catalog = add("");
+  const pageTree = add("");
+  const fonts = { F1: add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"), F2: add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>") };
+  const rgb = (c = [0, 0, 0]) => c.map(v => (v / 255).toFixed(3)).join(" ");
+  const kids = [];
+
+  for (const page of pages) {
+    const Y = (y) => (page.height - y).toFixed(2);
+    const images = {};
+    const ops = [];
+    for (const it of page.items) {
+      if (it.kind === "text") {
+        ops.push(`BT ${rgb(it.color)} rg /${it.bold ? "F2" : "F1"} ${it.size} Tf ${it.x.toFixed(2)} ${Y(it.y)} Td ${pdfString(it.text)} Tj ET`);
+      } else if (it.kind === "line") {
+        ops.push(`${rgb(it.color)} RG ${it.width || 0.5} w ${it.x1.toFixed(2)} ${Y(it.y1)} m ${it.x2.toFixed(2)} ${Y(it.y2)} l S`);
+      } else if (it.kind === "rect") {
+        const box = `${it.x.toFixed(2)} ${Y(it.y + it.h)} ${it.w.toFixed(2)} ${it.h.toFixed(2)} re`;
+        ops.push(it.fill ? `${rgb(it.fill)} rg ${box} f` : `${rgb(it.color)} RG ${it.width || 0.5} w ${box} S`);
+      } else if (it.kind === "image") {
+        const name = `Im${Object.keys(images).length + 1}`;
+        images[name] = add(`<< /Type /XObject /Subtype /Image /Width ${it.pxW} /Height ${it.pxH} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${it.jpeg.length} >>\nstream\n${it.jpeg}\nendstream`);
+        ops.push(`q ${it.w.toFixed(2)} 0 0 ${it.h.toFixed(2)} ${it.x.toFixed(2)} ${Y(it.y + it.h)} cm /${name} Do Q`);
+      }
     }
+    const stream = ops.join("\n");
+    const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    const xobjects = Object.entries(images).map(([name, n]) => `/${name} ${n} 0 R`).join(" ");
+    kids.push(add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${page.width} ${page.height}] /Contents ${content} 0 R /Resources << /Font << /F1 ${fonts.F1} 0 R /F2 ${fonts.F2} 0 R >> /XObject << ${xobjects} >> >> >>`));
+  }
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(n => `${n} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+  let file = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, i) => {
+    const at = file.length;
+    file += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = file.length;
+  file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  file += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(file.length);
+  for (let i = 0; i < file.length; i++) bytes[i] = file.charCodeAt(i) & 0xff;
+  return new Blob([bytes], { type: "application/pdf" });
+}
+
+// ─── AREA STATEMENT TABLE ───
+// The statement as the rows shown on screen, in the CSV and on the PDF
+// sheet: [space, carpet, floor area, counted] in the plans' area unit,
+// with bold rows for floor headings and totals.
+function areaStatementRows(areas, units) {
+  const n = (sqft) => (sqft / units.sqftPerArea).toFixed(2);
+  return [
+    ...areas.floors.flatMap(f => [
+      { bold: true, cells: [f.label, "", "", ""] },
+      ...f.rooms.map(r => ({ cells: [r.name, n(r.carpet), n(r.area), n(r.area)] })),
+      ...f.open.map(o => ({ cells: [`${o.name} (${Math.round(o.share * 100)}% counted)`, "", n(o.area), n(o.counted)] })),
+      { cells: ["Plinth area", "", n(f.plinth), ""] },
+      { bold: true, cells: [`${f.label} total`, n(f.carpet), "", n(f.builtUp)] },
+    ]),
+    { bold: true, cells: ["All floors", n(areas.carpet), "", n(areas.builtUp)] },
+    { cells: ["Total plinth area", "", n(areas.plinth), ""] },
+    { cells: ["Plot area", "", n(areas.plotArea), ""] },
+    { bold: true, cells: ["Ground coverage", "", "", `${(areas.coverage * 100).toFixed(1)}%`] },
+    { bold: true, cells: ["FAR", "", "", areas.far.toFixed(2)] },
+  ];
+}
+
+const areaColumns = (units) => ["Space", `Carpet (${units.areaUnit})`, `Floor area (${units.areaUnit})`, `Counted (${units.areaUnit})`];
+
+// The statement as CSV text for spreadsheets. `info` is the drawing set's.
+function areaStatementCsv(info) {
+  const { config, result } = info;
+  const units = unitsOf(result.units, result.areaUnit);
+  const cell = (v) => (/[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+  const lines = [
+    ["Area statement", info.clientName || "Untitled project", info.siteAddress || "", result.rules.name],
+    [],
+    areaColumns(units),
+    ...areaStatementRows(areaStatement(result.plans, config, result.rules), units).map(r => r.cells),
+  ];
+  // The byte-order mark lets spreadsheets read m² as UTF-8
+  return "\ufeff" + lines.map(l => l.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+// ─── DRAWING SET ───
+// A4 landscape: one sheet per floor, then the room schedule, the area
+// statement and the Vastu report, each with a title block carrying the
+// project details.
+const SHEET = { width: 842, height: 595, margin: 24, titleH: 58 };
+const INK = [40, 40, 48];
+const FAINT = [130, 130, 140];
+
+function titleBlock(sheetTitle, info, sheetNo, sheetCount) {
+  const { width, height, margin, titleH } = SHEET;
+  const { length } = unitsOf(info.config.units);
+  const top = height - margin - titleH;
+  const col = (width - margin * 2) / 4;
+  const cell = (i, label, lines) => [
+    { kind: "text", x: margin + col * i + 8, y: top + 14, text: label, size: 6, color: FAINT },
+    ...lines.map((line, j) => ({ kind: "text", x: margin + col * i + 8, y: top + 27 + j * 11, text: line, size: j ? 7.5 : 9, bold: !j, color: INK })),
+  ];
+  return [
+    { kind: "rect", x: margin, y: margin, w: width - margin * 2, h: height - margin * 2, width: 1, color: INK },
+    { kind: "line", x1: margin, y1: top, x2: width - margin, y2: top, width: 1, color: INK },
+    ...[1, 2, 3].map(i => ({ kind: "line", x1: margin + col * i, y1: top, x2: margin + col * i, y2: height - margin, width: 0.5, color: INK })),
+    ...cell(0, "PROJECT", ["VastuPlan — Conceptual Plan", info.clientName || "Untitled project", info.siteAddress].filter(Boolean)),
+    ...cell(1, "SHEET", [sheetTitle, `Sheet ${sheetNo} of ${sheetCount}`]),
+    ...cell(2, "PLOT", [`${length(info.config.plotWidth)} × ${length(info.config.plotDepth)} · ${bearingName(plotBearing(info.config))} facing${hasSideRoad(info.config) ? ` · corner, ${bearingName(sideRoadBearing(info.config))} road` : ""}`, `${info.config.bedrooms}BHK · ${info.config.floors === 1 ? "G" : `G+${info.config.floors - 1}`} · Vastu ${info.result.vastuResult.score}%`]),
+    ...cell(3, "DATE", [new Date().toLocaleDateString(), "Conceptual only — not for construction"]),
+  ];
+}
+
+// Text rows flowed onto as many sheets as they need; each row is a list of
+// [x offset, text] cells
+function textSheets(title, header, rows, info) {
+  const { width, height, margin, titleH } = SHEET;
+  const perSheet = Math.floor((height - margin * 2 - titleH - 60) / 13);
+  const chunks = [];
+  for (let i = 0; i < Math.max(1, rows.length); i += perSheet) chunks.push(rows.slice(i, i + perSheet));
+  return chunks.map((chunk, n) => ({
+    width, height, title: chunks.length > 1 ? `${title} (${n + 1}/${chunks.length})` : title,
+    items: [
+      { kind: "text", x: margin + 12, y: margin + 26, text: title.toUpperCase(), size: 12, bold: true, color: INK },
+      ...header.map(([x, text]) => ({ kind: "text", x: margin + 12 + x, y: margin + 48, text, size: 7, bold: true, color: FAINT })),
+      { kind: "line", x1: margin + 12, y1: margin + 52, x2: width - margin - 12, y2: margin + 52, width: 0.5, color: FAINT },
+      ...chunk.flatMap((row, i) => row.cells.map(([x, text]) => ({ kind: "text", x: margin + 12 + x, y: margin + 65 + i * 13, text, size: 8, bold: row.bold, color: row.color || INK }))),
+    ],
+  }));
+}
+
+// The whole set as a PDF Blob. `info` is { clientName, siteAddress, config, result }.
+async function drawingSetPdf(info) {
+  const { width, height, margin, titleH } = SHEET;
+  const { config, result } = info;
+  const units = unitsOf(result.units, result.areaUnit);
+  const sheets = [];
+
+  for (const plan of result.plans) {
+    const markup = await floorPlanMarkup({ plan, setback: result.setback, bearing: result.bearing, dirLabels: result.dirLabels });
+    const canvas = await rasterize(markup, 2);
+    const jpeg = atob(canvas.toDataURL("image/jpeg", 0.92).split(",")[1]);
+    const boxW = width - margin * 2 - 24;
+    const boxH = height - margin * 2 - titleH - 24;
+    const fit = Math.min(boxW / canvas.width, boxH / canvas.height);
+    const w = canvas.width * fit;
+    const h = canvas.height * fit;
+    sheets.push({
+      width, height, title: `${plan.label} Plan (${plan.level})`,
+      items: [{ kind: "image", x: (width - w) / 2, y: margin + 12 + (boxH - h) / 2, w, h, jpeg, pxW: canvas.width, pxH: canvas.height }],
+    });
+  }
+
+  const scheduleRows = result.plans.flatMap(plan => [
+    { bold: true, cells: [[0, plan.label]] },
+    ...plan.rooms.map(r => ({ cells: [[10, r.name], [170, clearRoomSize(r, plan, units)], [250, r.isOpen ? "" : units.area(carpetArea(r, plan))], [320, roomArea(r, units)], [390, r.zone || ""], [425, r.purpose || ""]] })),
+  ]);
+  sheets.push(...textSheets("Room Schedule", [[10, "ROOM"], [170, "CLEAR SIZE"], [250, "CARPET"], [320, "BUILT-UP"], [390, "ZONE"], [425, "NOTES"]], scheduleRows, info));
+
+  const columnX = [10, 300, 400, 500];
+  const areaRows = areaStatementRows(areaStatement(result.plans, config, result.rules), units)
+    .map(r => ({ bold: r.bold, cells: r.cells.map((text, i) => [i === 0 && r.bold ? 0 : columnX[i], text]) }));
+  sheets.push(...textSheets(`Area Statement — ${result.rules.name}`, areaColumns(units).map((h, i) => [columnX[i], h.toUpperCase()]), areaRows, info));
+
+  const tone = { good: [60, 130, 70], ok: [160, 120, 60], bad: [180, 70, 60], warn: [160, 120, 60] };
+  const reportRows = [
+    { bold: true, cells: [[0, `Vastu score ${result.vastuResult.score}%`]] },
+    ...result.vastuResult.tips.flatMap(t => [
+      { color: tone[t.type], cells: [[10, t.text]] },
+      ...(t.remedies || []).map(r => ({ cells: [[24, `${r.kind.toUpperCase()}`], [90, r.text]] })),
+    ]),
+    ...(result.errors.length || result.warnings.length ? [{ bold: true, cells: [[0, "Plan checks"]] }] : []),
+    ...result.errors.map(e => ({ color: tone.bad, cells: [[10, e.text]] })),
+    ...result.warnings.map(w => ({ color: tone.warn, cells: [[10, w.text]] })),
+  ];
+  sheets.push(...textSheets("Vastu Report", [], reportRows, info));
+  const breakdownRows = [
+    ...result.vastuResult.floors.filter(f => f.score != null).map(f => ({ bold: true, cells: [[0, `${f.label} ${f.score}%`]] })),
+    ...result.vastuResult.rows.map(r => ({
+      color: r.points >= r.max ? tone.good : r.points > 0 ? tone.ok : tone.bad,
+      cells: [[10, r.item], [170, r.floor || "Plot"], [270, r.zone], [330, r.verdict], [430, `${vastuPoints(r.points)} / ${vastuPoints(r.max)}`]],
+    })),
+  ];
+  sheets.push(...textSheets("Vastu Score Breakdown", [[10, "ROOM"], [170, "FLOOR"], [270, "ZONE"], [330, "VERDICT"], [430, "POINTS"]], breakdownRows, info));
+
+  return buildPdf(sheets.map((sheet, i) => ({ ...sheet, items: [...sheet.items, ...titleBlock(sheet.title, info, i + 1, sheets.length)] })));
+}
 
-    rooms.push({
-      id: `lobby_${floorIdx}`, name: "Lobby / Passage", type: "family_hall",
-      x: bathW, y: topRowH, w: bW - bathW * (bathsThisFloor >= 2 ? 2 : 1), h: lobbyH,
-      zone: "C", color: "#141e28",
-      vastu: "Central passage connecting rooms",
-    });
+// ─── DXF ───
+// AutoCAD R12 ASCII, the lowest common denominator every CAD package opens.
+// Geometry is the engine's own, drawn in feet or metres to match the plans'
+// units, with the plot's road-side left corner at the origin and y
+// increasing away from the road. Floors sit side by side along x.
+const DXF_LAYERS = [
+  { name: "WALLS", color: 7 },
+  { name: "DOORS", color: 30 },
+  { name: "WINDOWS", color: 4 },
+  { name: "ROOM-LABELS", color: 2 },
+  { name: "DIMENSIONS", color: 1 },
+  { name: "PLOT", color: 8 },
+  { name: "SETBACK", color: 9, ltype: "DASHED" },
+];
 
-    // Doors for bedrooms
-    doors.push({ x1: leftW, y1: topRowH * 0.55, x2: leftW, y2: topRowH * 0.55 + 3, type: "door" });
-    if (bedsThisFloor >= 2) {
-      doors.push({ x1: leftW + 1, y1: topRowH, x2: leftW + 4, y2: topRowH, type: "door" });
-    }
+// Every floor of a layout as DXF text; `setback` is the layout's own
+function plansToDxf(plans, setback) {
+  const units = unitsOf(plans[0].units);
+  const plotWidth = setback.left + plans[0].bW + setback.right;
+  const plotDepth = setback.rear + plans[0].bD + setback.front;
+  // Grid steps → drawing units, and feet → grid steps for text and spacing
+  const num = (v) => String(Math.round(v * units.step * units.perFoot * 10000) / 10000);
+  const ft = (v) => v / units.step;
+  const out = [];
+  const entity = (type, layer, pairs) => out.push("0", type, "8", layer, ...pairs.flatMap(([code, v]) => [String(code), String(v)]));
+  const gap = ft(15);
 
-    // ── BOTTOM ROW: Staircase + Balcony
-    rooms.push({
-      id: `stair_${floorIdx}`, name: floorIdx >= floors - 1 ? "Stair (→ Terrace)" : "Staircase", type: "staircase",
-      x: 0, y: topRowH + lobbyH, w: stairW, h: botRowH,
-      zone: "SW", color: "#1e1e24",
-      vastu: "SW — structural weight, clockwise ascent",
-      isStair: true,
-    });
+  plans.forEach((plan, i) => {
+    const dx = i * (plotWidth + gap);
+    // plan steps (y from the rear of the building) → drawing coordinates
+    const X = (x) => num(dx + setback.left + x);
+    const Y = (y) => num(plotDepth - setback.rear - y);
+    const line = (layer, x1, y1, x2, y2) => entity("LINE", layer, [[10, X(x1)], [20, Y(y1)], [30, 0], [11, X(x2)], [21, Y(y2)], [31, 0]]);
+    const box = (layer, x, y, w, h) => {
+      line(layer, x, y, x + w, y);
+      line(layer, x + w, y, x + w, y + h);
+      line(layer, x + w, y + h, x, y + h);
+      line(layer, x, y + h, x, y);
+    };
+    // Centred text, `height` in feet
+    const text = (layer, x, y, height, value, rotation = 0) => entity("TEXT", layer, [
+      [10, X(x)], [20, Y(y)], [30, 0], [40, num(ft(height))], [1, value], [50, rotation], [72, 1], [73, 2], [11, X(x)], [21, Y(y)], [31, 0],
+    ]);
 
-    if (hasBalcony) {
-      rooms.push({
-        id: `balcony_${floorIdx}`, name: "Open Balcony", type: "balcony",
-        x: stairW, y: topRowH + lobbyH, w: bW - stairW, h: botRowH,
-        zone: "S", color: "#1e2a1e",
-        vastu: "South/front — sit-out, drying, plants",
-        isOpen: true,
-      });
-      windows.push({ xm: stairW + 2, y: bD, len: bW - stairW - 4, side: "bottom", room: `balcony_${floorIdx}` });
+    // Plot and setbacks, in building coordinates so they share X/Y; a
+    // shaped plot's boundary follows its outline
+    if (plan.outline) {
+      for (const e of plan.outline.edges) line("PLOT", ft(e.x1) - setback.left, ft(e.y1) - setback.rear, ft(e.x2) - setback.left, ft(e.y2) - setback.rear);
     } else {
-      // Utility / extra space
-      rooms.push({
-        id: `util_${floorIdx}`, name: "Utility / Wash", type: "utility",
-        x: stairW, y: topRowH + lobbyH, w: bW - stairW, h: botRowH,
-        zone: "NW", color: "#1a2a2a",
-        vastu: "Utility and washing area",
-        isWet: true,
-      });
+      box("PLOT", -setback.left, -setback.rear, plotWidth, plotDepth);
     }
+    box("SETBACK", 0, 0, plotWidth - setback.left - setback.right, plotDepth - setback.rear - setback.front);
+    text("DIMENSIONS", plotWidth / 2 - setback.left, -setback.rear - ft(6), 1.5, `${plan.label} (${plan.level})`);
 
-    return { rooms, doors, windows, bW, bD };
-  }
-
-  // ─── VASTU SCORING ───
-  function scoreVastu(allPlans) {
-    let score = 0;
-    let maxScore = 0;
-    const tips = [];
-
-    const checks = [
-      { room: "kitchen", idealZones: ["SE"], goodZones: ["E", "NW"], weight: 15, label: "Kitchen in SE (Agneya)" },
-      { room: "master", idealZones: ["SW"], goodZones: ["S", "W"], weight: 15, label: "Master Bedroom in SW (Nairutya)" },
-      { room: "pooja", idealZones: ["NE"], goodZones: ["N", "E"], weight: 12, label: "Pooja Room in NE (Ishanya)" },
-      { room: "toilet", idealZones: ["NW", "W"], goodZones: ["N"], weight: 10, label: "Toilets in NW (Vayavya)" },
-      { room: "living", idealZones: ["NE", "N", "E"], goodZones: ["C"], weight: 12, label: "Living Room in NE" },
-      { room: "staircase", idealZones: ["SW", "S", "W"], goodZones: ["NW"], weight: 10, label: "Staircase in SW" },
-      { room: "dining", idealZones: ["W", "E", "N"], goodZones: ["S", "C"], weight: 8, label: "Dining in West zone" },
-    ];
-
-    // Facing bonus
-    const facingScore = { E: 18, N: 16, W: 8, S: 4 }[facing] || 0;
-    score += facingScore;
-    maxScore += 18;
-    if (facingScore >= 16) tips.push({ type: "good", text: `${facing}-facing entrance — excellent Vastu alignment` });
-    else tips.push({ type: "warn", text: `${facing}-facing — consider Vastu remedies at entrance` });
-
-    // Check each room
-    const allRooms = allPlans.flatMap(p => p.rooms);
-    for (const check of checks) {
-      maxScore += check.weight;
-      const room = allRooms.find(r => r.id?.includes(check.room) || r.type === check.room);
-      if (!room) continue;
-      if (check.idealZones.includes(room.zone)) {
-        score += check.weight;
-        tips.push({ type: "good", text: `✓ ${check.label}` });
-      } else if (check.goodZones.includes(room.zone)) {
-        score += Math.round(check.weight * 0.6);
-        tips.push({ type: "ok", text: `~ ${room.name} in ${room.zone} — acceptable but ${check.idealZones[0]} is ideal` });
+    // Walls: each room's outline, with shared walls drawn once
+    const walls = new Set();
+    const wall = (x1, y1, x2, y2) => {
+      const key = [x1, y1, x2, y2].join(",");
+      if (walls.has(key) || walls.has([x2, y2, x1, y1].join(","))) return;
+      walls.add(key);
+      line("WALLS", x1, y1, x2, y2);
+    };
+    for (const r of plan.rooms) {
+      if (r.isOpen) {
+        if (r.isOutside) box("PLOT", r.x, r.y, r.w, r.h);
       } else {
-        tips.push({ type: "bad", text: `✗ ${room.name} in ${room.zone} — Vastu recommends ${check.idealZones.join("/")}` });
+        wall(r.x, r.y, r.x + r.w, r.y);
+        wall(r.x + r.w, r.y, r.x + r.w, r.y + r.h);
+        wall(r.x, r.y + r.h, r.x + r.w, r.y + r.h);
+        wall(r.x, r.y, r.x, r.y + r.h);
       }
+      text("ROOM-LABELS", r.x + r.w / 2, r.y + r.h / 2 - ft(0.6), 0.9, r.name);
+      if (!r.isOpen) text("ROOM-LABELS", r.x + r.w / 2, r.y + r.h / 2 + ft(0.8), 0.6, clearRoomSize(r, plan, units).replace("×", "x"));
     }
 
-    return { score: Math.round((score / maxScore) * 100), tips };
-  }
-
-  // ─── BUILD ALL FLOORS ───
-  const allPlans = [];
-  const gf = layoutGroundFloor();
-  allPlans.push({ floor: 0, label: "Ground Floor", level: "+0.00m", ...gf });
+    // Doors: the opening, the leaf and its swing, hinged at the low end and
+    // opening towards +x (vertical walls) or away from the road (horizontal)
+    for (const d of plan.doors) {
+      const vertical = Math.abs(d.x1 - d.x2) < 0.5;
+      const hx = Math.min(d.x1, d.x2);
+      const hy = Math.max(d.y1, d.y2);
+      const w = vertical ? Math.abs(d.y2 - d.y1) : Math.abs(d.x2 - d.x1);
+      line("DOORS", d.x1, d.y1, d.x2, d.y2);
+      if (vertical) line("DOORS", hx, hy, hx + w, hy);
+      else line("DOORS", hx, hy, hx, hy - w);
+      entity("ARC", "DOORS", [[10, X(hx)], [20, Y(hy)], [30, 0], [40, num(w)], [50, 0], [51, 90]]);
+      if (d.type === "main_door") text("DOORS", hx + w / 2, hy + ft(1.2), 0.7, "ENTRANCE");
+    }
 
-  for (let f = 1; f < floors; f++) {
-    const uf = layoutUpperFloor(f);
-    allPlans.push({ floor: f, label: f === 1 ? "First Floor" : "Second Floor", level: `+${f * 3}.00m`, ...uf });
-  }
+    for (const w of plan.windows) line("WINDOWS", w.x1, w.y1, w.x2, w.y2);
 
-  const vastuResult = scoreVastu(allPlans);
+    // Overall plot dimensions with tick marks, as on screen
+    const dim = (x1, y1, x2, y2, value, rotation) => {
+      line("DIMENSIONS", x1, y1, x2, y2);
+      const tick = ft(0.5);
+      for (const [x, y] of [[x1, y1], [x2, y2]]) line("DIMENSIONS", x - tick, y + tick, x + tick, y - tick);
+      text("DIMENSIONS", (x1 + x2) / 2 - (rotation ? ft(1.2) : 0), (y1 + y2) / 2 - (rotation ? 0 : ft(1.2)), 1, value, rotation);
+    };
+    const off = ft(2.5);
+    dim(-setback.left, -setback.rear - off, plotWidth - setback.left, -setback.rear - off, units.length(plotWidth * units.step), 0);
+    dim(-setback.left - off, -setback.rear, -setback.left - off, plotDepth - setback.rear, units.length(plotDepth * units.step), 90);
+  });
 
-  return { plans: allPlans, setback, bW, bD, dirLabels, vastuResult };
+  const tables = [
+    "0", "SECTION", "2", "TABLES",
+    "0", "TABLE", "2", "LTYPE", "70", "2",
+    "0", "LTYPE", "2", "CONTINUOUS", "70", "0", "3", "Solid line", "72", "65", "73", "0", "40", "0.0",
+    "0", "LTYPE", "2", "DASHED", "70", "0", "3", "Dashed __ __ __", "72", "65", "73", "2", "40", num(ft(1.5)), "49", num(ft(1)), "49", num(ft(-0.5)),
+    "0", "ENDTAB",
+    "0", "TABLE", "2", "LAYER", "70", String(DXF_LAYERS.length),
+    ...DXF_LAYERS.flatMap(l => ["0", "LAYER", "2", l.name, "70", "0", "62", String(l.color), "6", l.ltype || "CONTINUOUS"]),
+    "0", "ENDTAB",
+    "0", "ENDSEC",
+  ];
+  return [
+    "0", "SECTION", "2", "HEADER", "9", "$ACADVER", "1", "AC1009", "0", "ENDSEC",
+    ...tables,
+    "0", "SECTION", "2", "ENTITIES", ...out, "0", "ENDSEC",
+    "0", "EOF",
+  ].join("\r\n") + "\r\n";
 }
 
-
 // ═══════════════════════════════════════════════════════════
 // SVG RENDERER — Blueprint-quality floor plan
 // ═══════════════════════════════════════════════════════════
 
-function FloorPlanSVG({ plan, setback, plotWidth, plotDepth, facing, dirLabels }) {
+// With `onSelect` the plan is editable: clicking a room selects it, and
+// dragging the handles on its inner walls calls `onMoveWall(id, side,
+// feet)`, which returns how far the wall actually moved.
+// `standalone` renders a self-contained document for export: explicit size,
+// no interaction, and `fontCss` embedded so it needs nothing from the page.
+function FloorPlanSVG({ plan, setback, bearing, dirLabels, mandala, furniture, structure, selectedId, onSelect, onMoveWall, standalone, fontCss }) {
+  const units = unitsOf(plan.units, plan.areaUnit);
   const pad = 55;
-  const sc = 13; // px per foot
+  const ftPx = 13; // px per foot
+  const sc = ftPx * units.step; // px per grid step
+  const plotWidth = setback.left + plan.bW + setback.right;
+  const plotDepth = setback.rear + plan.bD + setback.front;
   const svgW = plotWidth * sc + pad * 2;
   const svgH = plotDepth * sc + pad * 2;
   const ox = pad + setback.left * sc;
-  const oy = pad + setback.front * sc;
+  // Plot sides in the plan's units, with metres alongside feet
+  const plotLength = (n) => units.key === "imperial" ? `${units.length(n * units.step)} (${(n * units.step * M_PER_FT).toFixed(1)}m)` : units.length(n * units.step);
+  const oy = pad + setback.rear * sc; // rear at the top, road at the bottom
+  // Compass rose turn, clockwise from pointing up, to show true North
+  const north = frameAxes(bearing);
+  const northAngle = Math.round((Math.atan2(north.x[1], -north.y[1]) * 180) / Math.PI);
   const bW = plan.bW;
   const bD = plan.bD;
+  // A shaped plot's boundary, drawn from its outline in feet
+  const outlinePath = plan.outline && `M ${plan.outline.points.map(([x, y]) => `${pad + x * ftPx},${pad + y * ftPx}`).join(" L ")} Z`;
+
+  const svgRef = useRef(null);
+  // Ids for <defs> are per drawing: several plans share a page, and a
+  // url(#…) reference resolves to the first element with that id
+  const uid = useId().replace(/:/g, "");
+  const defId = (name) => `${name}-${uid}`;
+  const [drag, setDrag] = useState(null); // { side, vertical, start, applied }
+  const selected = onSelect && plan.rooms.find(r => r.id === selectedId && !r.isOpen);
+
+  // Pointer position in grid steps from the building's top-left corner
+  const toGrid = (e) => {
+    const pt = svgRef.current.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const p = pt.matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return { x: (p.x - ox) / sc, y: (p.y - oy) / sc };
+  };
+
+  const startDrag = (e, side) => {
+    e.stopPropagation();
+    svgRef.current.setPointerCapture(e.pointerId);
+    const vertical = side === "left" || side === "right";
+    const f = toGrid(e);
+    setDrag({ side, vertical, start: vertical ? f.x : f.y, applied: 0 });
+  };
+
+  // Walls move in whole grid steps
+  const dragMove = (e) => {
+    if (!drag) return;
+    const f = toGrid(e);
+    const moved = Math.round((drag.vertical ? f.x : f.y) - drag.start);
+    if (moved === drag.applied) return;
+    setDrag({ ...drag, applied: drag.applied + onMoveWall(selected.id, drag.side, moved - drag.applied) });
+  };
+
+  // Walls as bands in px: external walls inside the main block's edge,
+  // internal ones centred on the lines rooms share. `band` is the strip of
+  // wall along a segment, so doors and windows can be cut out of it and
+  // drawn inside it; `extend` lengthens it to close the corners, never
+  // past the building.
+  const tExt = WALL_THICKNESS.external * ftPx;
+  const tInt = WALL_THICKNESS.internal * ftPx;
+  const band = (seg, extend = 0) => {
+    const vertical = Math.abs(seg.x1 - seg.x2) < 1e-6;
+    const at = vertical ? seg.x1 : seg.y1;
+    const far = vertical ? bW : plan.mainD;
+    const edge = at === 0 || at === far;
+    const t = edge ? tExt : tInt;
+    const from = edge ? (at === 0 ? 0 : -tExt) : -tInt / 2;
+    const [a1, a2] = vertical ? [seg.y1, seg.y2] : [seg.x1, seg.x2];
+    const along = vertical ? plan.mainD : bW;
+    const start = Math.max(0, Math.min(a1, a2) * sc - extend);
+    const end = Math.min(along * sc, Math.max(a1, a2) * sc + extend);
+    return vertical
+      ? { x: ox + at * sc + from, y: oy + start, width: t, height: end - start, vertical, at, far }
+      : { x: ox + start, y: oy + at * sc + from, width: end - start, height: t, vertical, at, far };
+  };
+  const walled = plan.rooms.filter(r => !r.isOutside && r.y + r.h <= plan.mainD);
+  const wallBands = [
+    { x1: 0, y1: 0, x2: bW, y2: 0 }, { x1: 0, y1: plan.mainD, x2: bW, y2: plan.mainD },
+    { x1: 0, y1: 0, x2: 0, y2: plan.mainD }, { x1: bW, y1: 0, x2: bW, y2: plan.mainD },
+  ].map(seg => band(seg));
+  walled.forEach((a, i) => walled.slice(i + 1).forEach(b => {
+    const shared = !(a.isOpen && b.isOpen) && sharedEdge(a, b);
+    if (shared) wallBands.push(band(shared, tInt / 2));
+  }));
+  const rect = ({ x, y, width, height }) => ({ x, y, width, height });
+  // Openings cut a little past both faces so the face lines break cleanly
+  const opening = (b) => rect(b.vertical ? { ...b, x: b.x - 1.5, width: b.width + 3 } : { ...b, y: b.y - 1.5, height: b.height + 3 });
+
+  // Handles on the selected room's inner walls; the outer walls are fixed
+  const handles = selected ? [
+    selected.x > 0 && { side: "left", x: selected.x, y: selected.y + selected.h / 2 },
+    selected.x + selected.w < bW && { side: "right", x: selected.x + selected.w, y: selected.y + selected.h / 2 },
+    selected.y > 0 && { side: "top", x: selected.x + selected.w / 2, y: selected.y },
+    selected.y + selected.h < plan.mainD && { side: "bottom", x: selected.x + selected.w / 2, y: selected.y + selected.h },
+  ].filter(Boolean) : [];
+
+  // Mandala overlay over the whole plot: from its centre, the point `at`
+  // of the way to the plot's edge along a true bearing
+  const centre = { x: pad + (plotWidth * sc) / 2, y: pad + (plotDepth * sc) / 2 };
+  const toEdge = (deg, at) => {
+    const rad = (deg * Math.PI) / 180;
+    const dx = Math.sin(rad) * north.x[0] + Math.cos(rad) * north.x[1];
+    const dy = Math.sin(rad) * north.y[0] + Math.cos(rad) * north.y[1];
+    const t = at * Math.min(Math.abs(dx) > 1e-9 ? (plotWidth * sc) / 2 / Math.abs(dx) : Infinity, Math.abs(dy) > 1e-9 ? (plotDepth * sc) / 2 / Math.abs(dy) : Infinity);
+    return { x: centre.x + dx * t, y: centre.y + dy * t };
+  };
+  const core = brahmasthan(setback, bW, bD);
+
+  // Furniture is drawn in its own frame: `a` along the wall it backs onto
+  // and `o` out from it, both 0-1 of the piece (a free piece's long side
+  // runs along `a`). `spot` is a point in px, `part` a rect between two.
+  const spot = (f, a, o) => {
+    const [x, y, w, h] = [ox + f.x * sc, oy + f.y * sc, f.w * sc, f.h * sc];
+    return {
+      top: { x: x + a * w, y: y + o * h }, bottom: { x: x + a * w, y: y + h - o * h },
+      left: { x: x + o * w, y: y + a * h }, right: { x: x + w - o * w, y: y + a * h },
+    }[f.side];
+  };
+  const part = (f, a0, a1, o0, o1) => {
+    const [p, q] = [spot(f, a0, o0), spot(f, a1, o1)];
+    return { x: Math.min(p.x, q.x), y: Math.min(p.y, q.y), width: Math.abs(q.x - p.x), height: Math.abs(q.y - p.y) };
+  };
+  const seg = (f, a0, o0, a1, o1) => {
+    const [p, q] = [spot(f, a0, o0), spot(f, a1, o1)];
+    return { x1: p.x, y1: p.y, x2: q.x, y2: q.y };
+  };
 
   return (
-    <svg viewBox={`0 0 ${svgW} ${svgH}`} style={{ width: "100%", height: "auto", display: "block" }}>
+    <svg ref={svgRef} viewBox={`0 0 ${svgW} ${svgH}`} {...(standalone
+      ? { xmlns: "http://www.w3.org/2000/svg", width: svgW, height: svgH }
+      : { style: { width: "100%", height: "auto", display: "block", touchAction: drag ? "none" : "auto" }, onPointerMove: dragMove, onPointerUp: () => setDrag(null), onPointerCancel: () => setDrag(null) })}>
       <defs>
-        <pattern id="bgGrid" width={sc} height={sc} patternUnits="userSpaceOnUse">
+        {fontCss && <style dangerouslySetInnerHTML={{ __html: fontCss }} />}
+        <pattern id={defId("bgGrid")} width={sc} height={sc} patternUnits="userSpaceOnUse">
           <path d={`M ${sc} 0 L 0 0 0 ${sc}`} fill="none" stroke="rgba(60,100,160,0.08)" strokeWidth="0.5" />
         </pattern>
-        <pattern id="hatch" width="6" height="6" patternTransform="rotate(45)" patternUnits="userSpaceOnUse">
+        <pattern id={defId("hatch")} width="6" height="6" patternTransform="rotate(45)" patternUnits="userSpaceOnUse">
           <line x1="0" y1="0" x2="0" y2="6" stroke="rgba(122,184,212,0.15)" strokeWidth="1" />
         </pattern>
-        <marker id="arrowS" viewBox="0 0 6 6" refX="3" refY="3" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+        {plan.outline && (
+          <mask id={defId("setbackBand")} maskUnits="userSpaceOnUse" x="0" y="0" width={svgW} height={svgH}>
+            {plan.outline.edges.map((e, i) => (
+              <line key={i} x1={pad + e.x1 * ftPx} y1={pad + e.y1 * ftPx} x2={pad + e.x2 * ftPx} y2={pad + e.y2 * ftPx} stroke="white" strokeWidth={e.setback * 2 * ftPx} strokeLinecap="round" />
+            ))}
+          </mask>
+        )}
+        <mask id={defId("wallOpenings")} maskUnits="userSpaceOnUse" x="0" y="0" width={svgW} height={svgH}>
+          <rect width={svgW} height={svgH} fill="white" />
+          {[...plan.doors, ...plan.windows].map((o, i) => <rect key={i} {...opening(band(o))} fill="black" />)}
+        </mask>
+        <marker id={defId("arrowS")} viewBox="0 0 6 6" refX="3" refY="3" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
           <path d="M0,0 L6,3 L0,6 Z" fill="#d4a574" />
         </marker>
       </defs>
 
       {/* Background grid */}
       <rect width={svgW} height={svgH} fill="#0c1a2c" />
-      <rect width={svgW} height={svgH} fill="url(#bgGrid)" />
+      <rect width={svgW} height={svgH} fill={`url(#${defId("bgGrid")})`} onClick={onSelect && (() => onSelect(null))} />
 
-      {/* Plot boundary */}
-      <rect x={pad} y={pad} width={plotWidth * sc} height={plotDepth * sc} fill="none" stroke="rgba(200,165,120,0.2)" strokeWidth="1" strokeDasharray="8 4" />
+      {plan.outline ? (
+        <>
+          {/* Plot boundary as surveyed, with each side's length */}
+          <path d={outlinePath} fill="none" stroke="rgba(200,165,120,0.35)" strokeWidth="1" strokeDasharray="8 4" />
+          {plan.outline.edges.map((e, i) => {
+            const [mx, my] = [pad + ((e.x1 + e.x2) / 2) * ftPx, pad + ((e.y1 + e.y2) / 2) * ftPx];
+            const [nx, ny] = [(e.y1 - e.y2) / e.len, (e.x2 - e.x1) / e.len]; // outward, in the drawing frame
+            const angle = (Math.atan2(e.y2 - e.y1, e.x2 - e.x1) * 180) / Math.PI;
+            const upright = angle > 90 || angle < -90 ? angle + 180 : angle;
+            return (
+              <text key={i} x={mx + nx * 9} y={my + ny * 9 + 3} textAnchor="middle" fontSize="7" fill="rgba(200,165,120,0.55)" fontFamily="'JetBrains Mono'"
+                transform={`rotate(${upright}, ${mx + nx * 9}, ${my + ny * 9 + 3})`}>{units.length(e.len)}</text>
+            );
+          })}
+          {/* Setback shading: the plot within each side's setback of it */}
+          <path d={outlinePath} fill="rgba(200,165,120,0.05)" mask={`url(#${defId("setbackBand")})`} />
+        </>
+      ) : (
+        <>
+          {/* Plot boundary */}
+          <rect x={pad} y={pad} width={plotWidth * sc} height={plotDepth * sc} fill="none" stroke="rgba(200,165,120,0.2)" strokeWidth="1" strokeDasharray="8 4" />
 
-      {/* Setback shading */}
-      <rect x={pad} y={pad} width={setback.left * sc} height={plotDepth * sc} fill="rgba(200,165,120,0.03)" />
-      <rect x={pad + plotWidth * sc - setback.right * sc} y={pad} width={setback.right * sc} height={plotDepth * sc} fill="rgba(200,165,120,0.03)" />
-      <rect x={pad} y={pad} width={plotWidth * sc} height={setback.front * sc} fill="rgba(200,165,120,0.03)" />
-      <rect x={pad} y={pad + plotDepth * sc - setback.rear * sc} width={plotWidth * sc} height={setback.rear * sc} fill="rgba(200,165,120,0.03)" />
+          {/* Setback shading */}
+          <rect x={pad} y={pad} width={setback.left * sc} height={plotDepth * sc} fill="rgba(200,165,120,0.03)" />
+          <rect x={pad + plotWidth * sc - setback.right * sc} y={pad} width={setback.right * sc} height={plotDepth * sc} fill="rgba(200,165,120,0.03)" />
+          <rect x={pad} y={pad} width={plotWidth * sc} height={setback.rear * sc} fill="rgba(200,165,120,0.03)" />
+          <rect x={pad} y={pad + plotDepth * sc - setback.front * sc} width={plotWidth * sc} height={setback.front * sc} fill="rgba(200,165,120,0.03)" />
+        </>
+      )}
 
       {/* Building outline */}
-      <rect x={ox} y={oy} width={bW * sc} height={bD * sc} fill="rgba(240,230,216,0.02)" stroke="#5a4a36" strokeWidth="2.5" />
+      <rect x={ox} y={oy} width={bW * sc} height={bD * sc} fill="rgba(240,230,216,0.02)" stroke="#5a4a36" strokeWidth="1" />
 
       {/* ROOMS */}
       {plan.rooms.filter(r => !r.isOutside).map((room) => {
@@ -590,14 +2973,14 @@ function FloorPlanSVG({ plan, setback, plotWidth, plotDepth, facing, dirLabels }
         const isSmallRoom = rw < 60 || rh < 45;
 
         return (
-          <g key={room.id}>
+          <g key={room.id} onClick={onSelect && !room.isOpen ? () => onSelect(room.id) : undefined} style={{ cursor: onSelect && !room.isOpen ? "pointer" : "default" }}>
             {/* Room fill */}
-            <rect x={rx} y={ry} width={rw} height={rh} fill={room.color} stroke="#4a3a2a" strokeWidth={room.isOpen ? 1 : 1.8} strokeDasharray={room.isOpen ? "4 2" : "none"} rx={room.isOpen ? 1 : 0} />
+            <rect x={rx} y={ry} width={rw} height={rh} fill={room.color} stroke={room.isOpen ? "#4a3a2a" : "none"} strokeWidth="1" strokeDasharray="4 2" rx={room.isOpen ? 1 : 0} />
             {/* Wet area hatch */}
-            {room.isWet && <rect x={rx} y={ry} width={rw} height={rh} fill="url(#hatch)" />}
+            {room.isWet && <rect x={rx} y={ry} width={rw} height={rh} fill={`url(#${defId("hatch")})`} />}
             {/* Stair treads */}
-            {room.isStair && Array.from({ length: Math.min(12, Math.floor(rh / (sc * 0.7))) }).map((_, i) => (
-              <line key={i} x1={rx + 3} y1={ry + ((i + 1) * rh) / (Math.min(12, Math.floor(rh / (sc * 0.7))) + 1)} x2={rx + rw - 3} y2={ry + ((i + 1) * rh) / (Math.min(12, Math.floor(rh / (sc * 0.7))) + 1)} stroke="rgba(240,230,216,0.12)" strokeWidth="0.7" />
+            {room.isStair && Array.from({ length: Math.min(12, Math.floor(rh / (ftPx * 0.7))) }).map((_, i) => (
+              <line key={i} x1={rx + 3} y1={ry + ((i + 1) * rh) / (Math.min(12, Math.floor(rh / (ftPx * 0.7))) + 1)} x2={rx + rw - 3} y2={ry + ((i + 1) * rh) / (Math.min(12, Math.floor(rh / (ftPx * 0.7))) + 1)} stroke="rgba(240,230,216,0.12)" strokeWidth="0.7" />
             ))}
             {room.isStair && (
               <text x={rx + rw / 2} y={ry + rh / 2 + 16} textAnchor="middle" fontSize="10" fill="rgba(212,165,116,0.5)" fontFamily="'JetBrains Mono'">↑ UP</text>
@@ -609,7 +2992,7 @@ function FloorPlanSVG({ plan, setback, plotWidth, plotDepth, facing, dirLabels }
             {/* Dimensions */}
             {!room.isOpen && rw > 35 && rh > 30 && (
               <text x={rx + rw / 2} y={ry + rh / 2 + (isSmallRoom ? 8 : 10)} textAnchor="middle" fontSize={isSmallRoom ? 6 : 7.5} fill="rgba(240,230,216,0.35)" fontFamily="'JetBrains Mono'">
-                {room.w}' × {room.h}' ({room.w * room.h} sqft)
+                {clearRoomSize(room, plan, units)} ({units.area(carpetArea(room, plan))})
               </text>
             )}
             {/* Vastu zone badge */}
@@ -622,6 +3005,49 @@ function FloorPlanSVG({ plan, setback, plotWidth, plotDepth, facing, dirLabels }
         );
       })}
 
+      {/* FURNITURE — standard blocks, the wall each backs onto drawn heavier */}
+      {furniture && (plan.furniture || []).map((f, i) => {
+        const across = f.side === "top" || f.side === "bottom";
+        const [along, deep] = (across ? [f.w, f.h] : [f.h, f.w]).map(v => v * units.step); // feet
+        const short = Math.min(f.w, f.h) * sc;
+        const chairs = Math.max(1, Math.floor(along / 2));
+        return (
+          <g key={`f${i}`} pointerEvents="none" fill="none" stroke="rgba(240,230,216,0.45)" strokeWidth="0.6">
+            <rect {...part(f, 0, 1, 0, 1)} fill="rgba(240,230,216,0.05)" />
+            {f.back && <line {...seg(f, 0, 0, 1, 0)} strokeWidth="1.4" />}
+            {f.kind === "bed" && (
+              <>
+                <rect {...part(f, 0.08, 0.46, 0.04, 0.17)} rx="1" />
+                <rect {...part(f, 0.54, 0.92, 0.04, 0.17)} rx="1" />
+                <line {...seg(f, 0, 0.32, 1, 0.32)} />
+              </>
+            )}
+            {f.kind === "wardrobe" && <line {...seg(f, 0.5, 0, 0.5, 1)} />}
+            {f.kind === "stove" && [0.3, 0.7].map(a => <circle key={a} cx={spot(f, a, 0.5).x} cy={spot(f, a, 0.5).y} r={short * 0.2} />)}
+            {f.kind === "sink" && <rect {...part(f, 0.15, 0.85, 0.15, 0.8)} rx="2" />}
+            {f.kind === "wc" && (
+              <>
+                <rect {...part(f, 0.1, 0.9, 0, 0.28)} />
+                <ellipse cx={spot(f, 0.5, 0.64).x} cy={spot(f, 0.5, 0.64).y} rx={part(f, 0.15, 0.85, 0.34, 0.94).width / 2} ry={part(f, 0.15, 0.85, 0.34, 0.94).height / 2} />
+              </>
+            )}
+            {f.kind === "table" && Array.from({ length: chairs }, (_, k) => (k + 0.5) / chairs).flatMap(a => [
+              <rect key={`${a}n`} {...part(f, a - 0.65 / along, a + 0.65 / along, -1.4 / deep, -0.2 / deep)} rx="1" />,
+              <rect key={`${a}s`} {...part(f, a - 0.65 / along, a + 0.65 / along, 1 + 0.2 / deep, 1 + 1.4 / deep)} rx="1" />,
+            ])}
+            {f.kind === "sofa" && (
+              <>
+                <rect {...part(f, 0, 1, 0, 0.3)} />
+                <rect {...part(f, 0, 0.1, 0.3, 1)} />
+                <rect {...part(f, 0.9, 1, 0.3, 1)} />
+              </>
+            )}
+            {f.kind === "locker" && <circle cx={spot(f, 0.5, 0.55).x} cy={spot(f, 0.5, 0.55).y} r={short * 0.22} />}
+            {f.kind === "idol" && <circle cx={spot(f, 0.5, 0.45).x} cy={spot(f, 0.5, 0.45).y} r={short * 0.18} fill="#d4a574" stroke="none" />}
+          </g>
+        );
+      })}
+
       {/* Outside rooms (parking) */}
       {plan.rooms.filter(r => r.isOutside).map((room) => {
         const rx = pad + (setback.left + room.x) * sc;
@@ -638,69 +3064,132 @@ function FloorPlanSVG({ plan, setback, plotWidth, plotDepth, facing, dirLabels }
         );
       })}
 
-      {/* DOORS */}
-      {plan.doors.map((d, i) => {
-        const isVertical = Math.abs(d.x1 - d.x2) < 0.5;
-        const dx1 = ox + d.x1 * sc;
-        const dy1 = oy + d.y1 * sc;
-        const dx2 = ox + d.x2 * sc;
-        const dy2 = oy + d.y2 * sc;
-
-        if (d.type === "main_door") {
-          return (
-            <g key={`d${i}`}>
-              <line x1={dx1} y1={dy1} x2={dx2} y2={dy2} stroke="#d4a574" strokeWidth="3.5" />
-              {/* Door arc */}
-              <path d={`M ${dx1},${dy1} A ${(dx2 - dx1) * 0.8},${(dx2 - dx1) * 0.8} 0 0 1 ${dx1 + (dx2 - dx1) * 0.7},${dy1 + (dx2 - dx1) * 0.5}`} fill="none" stroke="#d4a574" strokeWidth="1" strokeDasharray="3 2" />
-              <text x={(dx1 + dx2) / 2} y={dy1 + 12} textAnchor="middle" fontSize="6" fill="#d4a574" fontFamily="'JetBrains Mono'" fontWeight="600">ENTRANCE</text>
-            </g>
-          );
-        }
+      {/* WALLS — double-line: face lines drawn under a solid fill, so only the outline of the joined walls shows */}
+      <g mask={`url(#${defId("wallOpenings")})`} pointerEvents="none">
+        {wallBands.map((w, i) => <rect key={`e${i}`} {...rect(w)} fill="none" stroke="#8a6e4e" strokeWidth="2" />)}
+        {wallBands.map((w, i) => <rect key={`f${i}`} {...rect(w)} fill="#4a3a2a" />)}
+      </g>
+
+      {/* ENTRANCE PADAS — the road side's 8, shaded by how good a door is there */}
+      {plan.floor === 0 && bearing != null && entrancePadas(bearing, bW).map(p => (
+        <g key={p.label} pointerEvents="none">
+          <rect x={ox + p.x0 * sc + 0.5} y={oy + plan.mainD * sc + 1.5} width={(p.x1 - p.x0) * sc - 1} height="3" fill={PADA_RATINGS[p.rating].color} opacity="0.55" />
+          <text x={ox + ((p.x0 + p.x1) / 2) * sc} y={oy + plan.mainD * sc + 21} textAnchor="middle" fontSize="5" fill={PADA_RATINGS[p.rating].color} fontFamily="'JetBrains Mono'">{p.label}</text>
+        </g>
+      ))}
 
+      {/* DOORS — jambs, leaf and swing, opening into the building from outer walls */}
+      {plan.doors.map((d, i) => {
+        const b = band(d);
+        const main = d.type === "main_door";
+        const L = b.vertical ? b.height : b.width;
+        const dir = b.vertical ? (b.at === b.far ? -1 : 1) : (b.at === 0 ? 1 : -1);
+        const face = b.vertical ? (dir > 0 ? b.x + b.width : b.x) : (dir > 0 ? b.y + b.height : b.y);
+        const sweep = (b.vertical ? dir > 0 : dir < 0) ? 1 : 0;
+        const jambs = b.vertical
+          ? [[b.x, b.y, b.x + b.width, b.y], [b.x, b.y + b.height, b.x + b.width, b.y + b.height]]
+          : [[b.x, b.y, b.x, b.y + b.height], [b.x + b.width, b.y, b.x + b.width, b.y + b.height]];
+        const swing = b.vertical
+          ? `M ${face},${b.y} L ${face + dir * L},${b.y} A ${L},${L} 0 0 ${sweep} ${face},${b.y + L}`
+          : `M ${b.x},${face} L ${b.x},${face + dir * L} A ${L},${L} 0 0 ${sweep} ${b.x + L},${face}`;
         return (
-          <g key={`d${i}`}>
-            <line x1={dx1} y1={dy1} x2={dx2} y2={dy2} stroke="#d4a574" strokeWidth="2.5" />
-            {/* Simple door arc */}
-            {isVertical ? (
-              <path d={`M ${dx1},${dy1} Q ${dx1 + 8},${(dy1 + dy2) / 2} ${dx2},${dy2}`} fill="none" stroke="rgba(212,165,116,0.4)" strokeWidth="0.8" strokeDasharray="2 2" />
-            ) : (
-              <path d={`M ${dx1},${dy1} Q ${(dx1 + dx2) / 2},${dy1 - 8} ${dx2},${dy2}`} fill="none" stroke="rgba(212,165,116,0.4)" strokeWidth="0.8" strokeDasharray="2 2" />
+          <g key={`d${i}`} pointerEvents="none">
+            {jambs.map(([x1, y1, x2, y2], j) => <line key={j} x1={x1} y1={y1} x2={x2} y2={y2} stroke="#8a6e4e" strokeWidth="1" />)}
+            <path d={swing} fill="none" stroke={main ? "#d4a574" : "rgba(212,165,116,0.6)"} strokeWidth={main ? 1.6 : 1} />
+            {main && (
+              <text x={b.x + b.width / 2} y={b.y + b.height + 12} textAnchor="middle" fontSize="6" fill="#d4a574" fontFamily="'JetBrains Mono'" fontWeight="600">ENTRANCE</text>
             )}
           </g>
         );
       })}
 
-      {/* WINDOWS */}
+      {/* WINDOWS — glazing set in the wall */}
       {plan.windows.map((w, i) => {
-        let wx1, wy1, wx2, wy2;
-        if (w.side === "left") {
-          wx1 = ox; wy1 = oy + (w.ym || 0) * sc; wx2 = ox; wy2 = wy1 + w.len * sc;
-        } else if (w.side === "right") {
-          wx1 = ox + bW * sc; wy1 = oy + (w.ym || 0) * sc; wx2 = ox + bW * sc; wy2 = wy1 + w.len * sc;
-        } else if (w.side === "top") {
-          wx1 = ox + (w.xm || 0) * sc; wy1 = oy; wx2 = wx1 + w.len * sc; wy2 = oy;
-        } else {
-          wx1 = ox + (w.xm || 0) * sc; wy1 = oy + bD * sc; wx2 = wx1 + w.len * sc; wy2 = oy + bD * sc;
-        }
+        const b = band(w);
+        const mid = b.vertical ? b.x + b.width / 2 : b.y + b.height / 2;
         return (
-          <g key={`w${i}`}>
-            <line x1={wx1} y1={wy1} x2={wx2} y2={wy2} stroke="#5ba3c4" strokeWidth="3" />
-            <line x1={wx1} y1={wy1} x2={wx2} y2={wy2} stroke="#7bc4e4" strokeWidth="1.2" />
+          <g key={`w${i}`} pointerEvents="none">
+            <rect {...rect(b)} fill="rgba(91,163,196,0.12)" stroke="#5ba3c4" strokeWidth="1" />
+            {b.vertical
+              ? <line x1={mid} y1={b.y} x2={mid} y2={b.y + b.height} stroke="#7bc4e4" strokeWidth="1.2" />
+              : <line x1={b.x} y1={mid} x2={b.x + b.width} y2={mid} stroke="#7bc4e4" strokeWidth="1.2" />}
           </g>
         );
       })}
 
+      {/* STRUCTURE — beams along the walls, columns that reach this floor, walls with nothing below */}
+      {structure && (
+        <g pointerEvents="none">
+          {structure.beams.filter(b => b.floor === plan.floor).map((b, i) => (
+            <line key={`b${i}`} x1={ox + b.x1 * sc} y1={oy + b.y1 * sc} x2={ox + b.x2 * sc} y2={oy + b.y2 * sc} stroke={b.long ? "#c46b5b" : "rgba(155,184,211,0.7)"} strokeWidth="1" strokeDasharray="5 3" />
+          ))}
+          {structure.unsupported.filter(u => u.floor === plan.floor).map((u, i) => (
+            <g key={`u${i}`}>
+              <line x1={ox + u.x1 * sc} y1={oy + u.y1 * sc} x2={ox + u.x2 * sc} y2={oy + u.y2 * sc} stroke="rgba(196,107,91,0.8)" strokeWidth="4" />
+              <text x={ox + ((u.x1 + u.x2) / 2) * sc + (u.x1 === u.x2 ? 4 : 0)} y={oy + ((u.y1 + u.y2) / 2) * sc + (u.x1 === u.x2 ? 2 : -4)} textAnchor={u.x1 === u.x2 ? "start" : "middle"} fontSize="5" fill="#c46b5b" fontFamily="'JetBrains Mono'">NO WALL BELOW</text>
+            </g>
+          ))}
+          {structure.columns.filter(c => c.top >= plan.floor).map(c => {
+            // Kept inside the outer walls
+            const size = COLUMN_SIZE * ftPx;
+            const x = Math.min(bW * sc - size / 2, Math.max(size / 2, c.x * sc));
+            const y = Math.min(plan.mainD * sc - size / 2, Math.max(size / 2, c.y * sc));
+            return <rect key={`${c.x},${c.y}`} x={ox + x - size / 2} y={oy + y - size / 2} width={size} height={size} fill={c.added ? "#7bc4e4" : "#c8d6e5"} stroke="#080e18" strokeWidth="0.8" />;
+          })}
+        </g>
+      )}
+
+      {/* MANDALA — 81 padas, the 16 zones and the Brahmasthan */}
+      {mandala && bearing != null && (
+        <g pointerEvents="none">
+          <rect x={ox + core.x * sc} y={oy + core.y * sc} width={core.w * sc} height={core.h * sc} fill="rgba(212,165,116,0.12)" stroke="#d4a574" strokeWidth="1" />
+          {Array.from({ length: MANDALA_PADAS - 1 }, (_, i) => (i + 1) / MANDALA_PADAS).map(f => (
+            <g key={f} stroke="rgba(212,165,116,0.25)" strokeWidth="0.5">
+              <line x1={pad + f * plotWidth * sc} y1={pad} x2={pad + f * plotWidth * sc} y2={pad + plotDepth * sc} />
+              <line x1={pad} y1={pad + f * plotDepth * sc} x2={pad + plotWidth * sc} y2={pad + f * plotDepth * sc} />
+            </g>
+          ))}
+          {SIXTEEN_ZONES.map((zone, i) => {
+            const edge = toEdge(i * 22.5 - 11.25, 1);
+            const label = toEdge(i * 22.5, 0.82);
+            return (
+              <g key={zone}>
+                <line x1={centre.x} y1={centre.y} x2={edge.x} y2={edge.y} stroke="rgba(155,140,200,0.45)" strokeWidth="0.7" strokeDasharray="3 2" />
+                <text x={label.x} y={label.y + 2} textAnchor="middle" fontSize="6" fill="rgba(185,170,230,0.8)" fontFamily="'JetBrains Mono'">{zone}</text>
+              </g>
+            );
+          })}
+          <text x={centre.x} y={centre.y + 2} textAnchor="middle" fontSize="6" fill="#d4a574" fontFamily="'JetBrains Mono'" letterSpacing="1">BRAHMASTHAN</text>
+        </g>
+      )}
+
+      {/* SELECTION — outline and wall handles */}
+      {selected && (
+        <g>
+          <rect x={ox + selected.x * sc} y={oy + selected.y * sc} width={selected.w * sc} height={selected.h * sc} fill="rgba(212,165,116,0.08)" stroke="#d4a574" strokeWidth="2" pointerEvents="none" />
+          {handles.map(h => {
+            const vertical = h.side === "left" || h.side === "right";
+            const [hw, hh] = vertical ? [8, 22] : [22, 8];
+            return (
+              <rect key={h.side} x={ox + h.x * sc - hw / 2} y={oy + h.y * sc - hh / 2} width={hw} height={hh} rx="2"
+                fill="#d4a574" stroke="#080e18" strokeWidth="1" style={{ cursor: vertical ? "ew-resize" : "ns-resize" }}
+                onPointerDown={e => startDrag(e, h.side)} />
+            );
+          })}
+        </g>
+      )}
+
       {/* DIMENSION LINES */}
       {/* Width — top */}
-      <line x1={pad} y1={pad - 18} x2={pad + plotWidth * sc} y2={pad - 18} stroke="#d4a574" strokeWidth="0.7" markerStart="url(#arrowS)" markerEnd="url(#arrowS)" />
-      <text x={pad + plotWidth * sc / 2} y={pad - 23} textAnchor="middle" fontSize="8.5" fill="#d4a574" fontFamily="'JetBrains Mono'">{plotWidth}' ({(plotWidth * 0.3048).toFixed(1)}m)</text>
+      <line x1={pad} y1={pad - 18} x2={pad + plotWidth * sc} y2={pad - 18} stroke="#d4a574" strokeWidth="0.7" markerStart={`url(#${defId("arrowS")})`} markerEnd={`url(#${defId("arrowS")})`} />
+      <text x={pad + plotWidth * sc / 2} y={pad - 23} textAnchor="middle" fontSize="8.5" fill="#d4a574" fontFamily="'JetBrains Mono'">{plotLength(plotWidth)}</text>
 
       {/* Depth — left */}
-      <line x1={pad - 18} y1={pad} x2={pad - 18} y2={pad + plotDepth * sc} stroke="#d4a574" strokeWidth="0.7" markerStart="url(#arrowS)" markerEnd="url(#arrowS)" />
-      <text x={pad - 24} y={pad + plotDepth * sc / 2} textAnchor="middle" fontSize="8.5" fill="#d4a574" fontFamily="'JetBrains Mono'" transform={`rotate(-90, ${pad - 24}, ${pad + plotDepth * sc / 2})`}>{plotDepth}' ({(plotDepth * 0.3048).toFixed(1)}m)</text>
+      <line x1={pad - 18} y1={pad} x2={pad - 18} y2={pad + plotDepth * sc} stroke="#d4a574" strokeWidth="0.7" markerStart={`url(#${defId("arrowS")})`} markerEnd={`url(#${defId("arrowS")})`} />
+      <text x={pad - 24} y={pad + plotDepth * sc / 2} textAnchor="middle" fontSize="8.5" fill="#d4a574" fontFamily="'JetBrains Mono'" transform={`rotate(-90, ${pad - 24}, ${pad + plotDepth * sc / 2})`}>{plotLength(plotDepth)}</text>
 
-      {/* COMPASS */}
-      <g transform={`translate(${svgW - 38}, 34)`}>
+      {/* COMPASS — turned to true North */}
+      <g transform={`translate(${svgW - 38}, 34) rotate(${northAngle})`}>
         <circle r="18" fill="rgba(12,26,44,0.9)" stroke="rgba(212,165,116,0.4)" strokeWidth="0.8" />
         <polygon points="0,-14 -4,-2 0,-5 4,-2" fill="#d4a574" />
         <polygon points="0,14 -4,2 0,5 4,2" fill="rgba(240,230,216,0.2)" />
@@ -722,28 +3211,307 @@ function FloorPlanSVG({ plan, setback, plotWidth, plotDepth, facing, dirLabels }
 // MAIN APPLICATION
 // ═══════════════════════════════════════════════════════════
 
+// Steps kept for undo
+const HISTORY_LIMIT = 100;
+
 export default function VastuPlanApp() {
-  const [step, setStep] = useState(0);
-  const [config, setConfig] = useState({
-    plotWidth: 30, plotDepth: 30, facing: "E", floors: 2,
-    bedrooms: 3, bathrooms: 3,
-    hasPooja: true, hasBalcony: true, hasParking: false, hasStore: true,
+  // A shared link opens straight onto its plan
+  const [sharedLink] = useState(() => typeof window === "undefined" ? null : configFromQuery(window.location.search));
+  const [step, setStep] = useState(sharedLink ? 1 : 0);
+  // Undo history over everything the user decides: the configuration, the
+  // chosen layout option and the edits made to it. Steps in the same
+  // `group` less than a second apart (a wall drag, typing a number) merge
+  // into one.
+  const [history, setHistory] = useState({
+    past: [],
+    present: {
+      config: sharedLink ? sharedLink.config : DEFAULT_CONFIG,
+      option: 0,
+      edits: null,
+    },
+    future: [],
+    group: null,
+    at: 0,
   });
-  const [activeFloor, setActiveFloor] = useState(0);
+  const { config, option: activeOption, edits: editedPlans } = history.present;
+  const [activeFloor, setActiveFloor] = useState(sharedLink ? sharedLink.floor : 0);
   const [showVastuPanel, setShowVastuPanel] = useState(false);
 
-  const result = useMemo(() => step === 1 ? createLayoutEngine(config) : null, [step, config]);
-  const update = (k, v) => setConfig(p => ({ ...p, [k]: v }));
+  const [selectedRoom, setSelectedRoom] = useState(null);
+  const [swapping, setSwapping] = useState(false);
+  const [showMandala, setShowMandala] = useState(false);
+  const [showFurniture, setShowFurniture] = useState(false);
+  const [showColumns, setShowColumns] = useState(false);
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotName, setSnapshotName] = useState("");
+  const [project, setProject] = useState({ id: null, clientName: "", siteAddress: "" });
+  const [library, setLibrary] = useState(loadLibrary);
+  const [projectMsg, setProjectMsg] = useState(null);
+  const importInput = useRef(null);
+  const [exporting, setExporting] = useState(null); // "svg" | "png" | "pdf" while a drawing is being made
+
+  const commit = (change, group = null) => setHistory(h => {
+    const now = Date.now();
+    const merge = group && group === h.group && now - h.at < 1000;
+    return {
+      past: merge ? h.past : [...h.past, h.present].slice(-HISTORY_LIMIT),
+      present: { ...h.present, ...(typeof change === "function" ? change(h.present) : change) },
+      future: [],
+      group,
+      at: now,
+    };
+  });
+  const undo = () => {
+    setHistory(h => !h.past.length ? h : { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future], group: null, at: 0 });
+    setSelectedRoom(null);
+    setSwapping(false);
+  };
+  const redo = () => {
+    setHistory(h => !h.future.length ? h : { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), group: null, at: 0 });
+    setSelectedRoom(null);
+    setSwapping(false);
+  };
+
+  // The address bar carries the plan on screen, so it can be shared as is
+  useEffect(() => {
+    const query = step === 1 ? `?${configToQuery(config, activeFloor)}` : "";
+    window.history.replaceState(null, "", `${window.location.pathname}${query}${window.location.hash}`);
+  }, [step, config, activeFloor]);
+  const shareLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setProjectMsg("Link to this plan copied");
+    } catch {
+      setProjectMsg(`Copy this link to share the plan: ${window.location.href}`);
+    }
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); text fields keep their own undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === "INPUT") return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); redo(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Remedy text is advice only and the area unit only how areas are
+  // written: layouts hang on the rest of the config, and the profile's
+  // remedies and the area unit as they stand are laid over the result
+  const layoutKey = JSON.stringify({ ...config, areaUnit: null, customVastu: config.customVastu && config.customVastu.map(({ remedy, ...rule }) => rule) });
+  const layoutConfig = useMemo(() => JSON.parse(layoutKey), [layoutKey]);
+  const remedyKey = JSON.stringify(vastuProfileOf(config).rooms.map(r => r.remedy));
+  const options = useMemo(() => step === 1 ? createLayoutEngine(layoutConfig) : null, [step, layoutConfig]);
+  const layout = options && (options[activeOption] || options[0]);
+  const evaluated = useMemo(() => layout && editedPlans ? evaluatePlans(layoutConfig, layout, editedPlans) : layout, [layoutConfig, layout, editedPlans]);
+  const result = useMemo(() => {
+    if (!evaluated) return evaluated;
+    const { areaUnit } = config;
+    const advised = withProfileRemedies(evaluated, vastuProfileOf(config));
+    return { ...advised, areaUnit, plans: advised.plans.map(plan => ({ ...plan, areaUnit })) };
+  }, [evaluated, remedyKey, config.areaUnit]);
+  const maxSpan = config.maxSpan ?? DEFAULT_CONFIG.maxSpan;
+  const structure = useMemo(() => showColumns && result ? structuralGrid(result.plans, maxSpan) : null, [showColumns, result, maxSpan]);
+  // A new configuration means new layouts, so the option and edits start over
+  const update = (k, v) => commit(p => ({ config: { ...p.config, [k]: v }, option: 0, edits: null }), `config:${k}`);
+  // A bearing on one of the eight facings is kept as just that facing
+  const updateBearing = (bearing) => commit(p => {
+    const facing = facingOf(bearing);
+    return { config: { ...p.config, facing, bearing: FACING_META[facing].bearing === bearing ? null : bearing }, option: 0, edits: null };
+  }, "config:bearing");
+  const updateShape = (shape) => commit(p => ({ config: withPlotShape(p.config, shape), option: 0, edits: null }), "config:plotShape");
+  const shapeProblem = config.plotShape && plotShapeProblem(config.plotShape);
+  const units = unitsOf(config.units, config.areaUnit);
+  const plotLimits = useMemo(() => plotRules(config), [config]);
+  const customRules = { ...DEFAULT_CUSTOM_RULES, ...config.customRules };
+  const vastuProfile = vastuProfileOf(config);
+  // A custom profile starts as a copy of the one it replaces
+  const chooseVastuProfile = (id) => commit(p => ({
+    config: { ...p.config, vastuProfile: id, customVastu: id === "custom" ? p.config.customVastu || vastuProfileOf(p.config).rooms : p.config.customVastu },
+    option: 0, edits: null,
+  }), "config:vastuProfile");
+  // Clicking a zone of a custom rule steps it through ideal, acceptable,
+  // forbidden and none
+  const cycleVastuZone = (i, zone) => {
+    const marks = ["ideal", "acceptable", "forbidden"];
+    const rule = vastuProfile.rooms[i];
+    const next = marks[marks.findIndex(k => rule[k].includes(zone)) + 1];
+    const changed = Object.fromEntries(marks.map(k => [k, k === next ? [...rule[k], zone] : rule[k].filter(z => z !== zone)]));
+    update("customVastu", vastuProfile.rooms.map((r, j) => (j === i ? { ...r, ...changed } : r)));
+  };
+  // Remedy text doesn't change the layout, so the chosen option and its
+  // edits stay
+  const updateRemedy = (i, remedy) => commit(p => ({
+    config: { ...p.config, customVastu: vastuProfileOf(p.config).rooms.map((r, j) => (j === i ? { ...r, remedy } : r)) },
+  }), `config:remedy:${i}`);
+  // Likewise for the unit areas are written in
+  const updateAreaUnit = (areaUnit) => commit(p => ({ config: { ...p.config, areaUnit } }), "config:areaUnit");
+  // Back in feet, a plot entered in metres rounds to whole feet
+  const switchUnits = (key) => commit(p => ({
+    config: key === "imperial"
+      ? { ...p.config, units: key, plotWidth: Math.round(p.config.plotWidth), plotDepth: Math.round(p.config.plotDepth) }
+      : { ...p.config, units: key },
+    option: 0, edits: null,
+  }), "config:units");
+  // Configurator teaser: score the first layout variant the current
+  // settings produce, rather than ranking them all on every change. Both
+  // are only worked out while the configurator is on screen, and the
+  // minimum plot only when a setting it hangs on changes, behind the form
+  // so typing stays responsive.
+  const expectedScore = useMemo(() => step === 0 ? fitProgram(layoutConfig, LAYOUT_VARIANTS[0]).result.vastuResult.score : null, [step, layoutConfig]);
+  const fitKey = useDeferredValue(JSON.stringify(FIT_SETTINGS.map(k => config[k] ?? null)));
+  const minPlot = useMemo(() => {
+    if (step !== 0) return null;
+    const values = JSON.parse(fitKey);
+    return minimumPlot({ ...DEFAULT_CONFIG, ...Object.fromEntries(FIT_SETTINGS.map((k, i) => [k, values[i]]).filter(([, v]) => v !== null)) });
+  }, [step, fitKey]);
+
+  // Edits apply to the floor on screen and keep the other floors as they are
+  const editFloor = (plan, group) => commit({ edits: result.plans.map((p, i) => (i === activeFloor ? plan : p)) }, group);
+  const resetEdits = () => { commit({ edits: null }); setSelectedRoom(null); setSwapping(false); };
+  const handleMoveWall = (id, side, delta) => {
+    const moved = moveWall(result.plans[activeFloor], id, side, delta);
+    if (!moved) return 0;
+    editFloor(moved.plan, `wall:${activeFloor}:${id}:${side}`);
+    return moved.delta;
+  };
+  const handleSelect = (id) => {
+    if (swapping && selectedRoom && id && id !== selectedRoom) {
+      const swapped = swapRooms(result.plans[activeFloor], selectedRoom, id);
+      if (swapped) editFloor(swapped);
+      setSwapping(false);
+      return;
+    }
+    setSelectedRoom(id);
+    if (!id) setSwapping(false);
+  };
+  const selected = result && result.plans[activeFloor].rooms.find(r => r.id === selectedRoom);
 
-  const plotArea = config.plotWidth * config.plotDepth;
+  const plotArea = plotAreaOf(config);
   const plotSqYards = Math.round(plotArea / 9);
-  const builtArea = useMemo(() => {
-    if (!result) return 0;
-    return result.plans.reduce((sum, p) => {
-      const area = p.rooms.filter(r => !r.isOutside && !r.isOpen).reduce((s, r) => s + r.w * r.h, 0);
-      return sum + area;
-    }, 0);
-  }, [result]);
+  // Build cost per area unit, from ₹1,800–2,800 per sqft
+  const rate = (perSqft) => (Math.round(perSqft * units.sqftPerArea / 100) * 100).toLocaleString("en-IN");
+  const areas = useMemo(() => result && areaStatement(result.plans, config, result.rules), [result, config]);
+  const builtArea = areas ? areas.builtUp : 0;
+  // Setbacks as applied, in feet; a shaped plot keeps each side's own
+  const setbackFt = result && (result.plans[0].outline
+    ? result.rules.setback
+    : Object.fromEntries(Object.entries(result.setback).map(([k, v]) => [k, v * units.step])));
+
+  // Named snapshots keep the whole decision state plus the figures to
+  // compare it by
+  const summarize = (state, res) => ({
+    plot: `${unitsOf(state.config.units).length(state.config.plotWidth)} × ${unitsOf(state.config.units).length(state.config.plotDepth)}`,
+    facing: bearingName(plotBearing(state.config)),
+    program: `${state.config.bedrooms}BHK · ${state.config.floors === 1 ? "G" : `G+${state.config.floors - 1}`}`,
+    vastu: res.vastuResult.score,
+    builtUp: areaStatement(res.plans, state.config, res.rules).builtUp,
+    efficiency: res.efficiency,
+    issues: res.errors.length + res.warnings.length,
+  });
+  const saveSnapshot = () => {
+    const name = snapshotName.trim() || `Version ${snapshots.length + 1}`;
+    setSnapshots(list => [...list, { id: Date.now(), name, state: history.present, summary: summarize(history.present, result) }]);
+    setSnapshotName("");
+  };
+  const restoreSnapshot = (snap) => {
+    commit(snap.state);
+    setActiveFloor(0);
+    setSelectedRoom(null);
+    setSwapping(false);
+  };
+
+  // ─── Projects ───
+  const projectFile = () => {
+    const layouts = result ? null : createLayoutEngine(config);
+    return {
+      kind: PROJECT_KIND,
+      schemaVersion: PROJECT_SCHEMA_VERSION,
+      id: project.id || `p${Date.now()}`,
+      clientName: project.clientName.trim(),
+      siteAddress: project.siteAddress.trim(),
+      savedAt: new Date().toISOString(),
+      config,
+      option: activeOption,
+      edits: editedPlans,
+      plans: editedPlans || (result || layouts[activeOption] || layouts[0]).plans,
+      snapshots,
+    };
+  };
+  const saveProject = () => {
+    const file = projectFile();
+    const list = [file, ...library.filter(p => p.id !== file.id)];
+    const error = saveLibrary(list);
+    if (!error) {
+      setLibrary(list);
+      setProject(p => ({ ...p, id: file.id }));
+    }
+    setProjectMsg(error || `Saved “${file.clientName || "Untitled project"}” to this browser`);
+  };
+  const openProject = (data) => {
+    try {
+      const p = readProject(data);
+      setHistory({ past: [], present: { config: p.config, option: p.option, edits: projectEdits(p) }, future: [], group: null, at: 0 });
+      setSnapshots(p.snapshots);
+      setProject({ id: p.id, clientName: p.clientName, siteAddress: p.siteAddress });
+      setActiveFloor(0);
+      setSelectedRoom(null);
+      setSwapping(false);
+      setProjectMsg(null);
+      setStep(1);
+    } catch (err) {
+      setProjectMsg(err.message);
+    }
+  };
+  const deleteProject = (id) => {
+    const list = library.filter(p => p.id !== id);
+    const error = saveLibrary(list);
+    if (!error) setLibrary(list);
+    setProjectMsg(error);
+  };
+  const fileSlug = (fallback) => project.clientName.trim().replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() || fallback;
+
+  const exportProject = () => {
+    downloadBlob(new Blob([JSON.stringify(projectFile(), null, 2)], { type: "application/json" }), `${fileSlug("project")}.vastuplan.json`);
+  };
+  const exportDrawing = async (format) => {
+    const plan = result.plans[activeFloor];
+    const name = `${fileSlug("vastuplan")}-${plan.label.toLowerCase().replace(/ /g, "-")}`;
+    setExporting(format);
+    try {
+      if (format === "dxf") {
+        downloadBlob(new Blob([plansToDxf(result.plans, result.setback)], { type: "application/dxf" }), `${fileSlug("vastuplan")}.dxf`);
+      } else if (format === "pdf") {
+        downloadBlob(await drawingSetPdf({ clientName: project.clientName.trim(), siteAddress: project.siteAddress.trim(), config, result }), `${fileSlug("vastuplan")}-drawings.pdf`);
+      } else if (format === "csv") {
+        downloadBlob(new Blob([areaStatementCsv({ clientName: project.clientName.trim(), siteAddress: project.siteAddress.trim(), config, result })], { type: "text/csv" }), `${fileSlug("vastuplan")}-area-statement.csv`);
+      } else {
+        const markup = await floorPlanMarkup({ plan, setback: result.setback, bearing: result.bearing, dirLabels: result.dirLabels });
+        if (format === "svg") downloadBlob(new Blob([markup], { type: "image/svg+xml" }), `${name}.svg`);
+        else downloadBlob(await canvasBlob(await rasterize(markup, 3), "image/png"), `${name}.png`);
+      }
+    } catch (err) {
+      setProjectMsg(`Could not export the ${format.toUpperCase()}: ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+  const importProject = async (e) => {
+    const picked = e.target.files[0];
+    e.target.value = "";
+    if (!picked) return;
+    let data;
+    try {
+      data = JSON.parse(await picked.text());
+    } catch {
+      setProjectMsg(`${picked.name} is not a JSON file`);
+      return;
+    }
+    openProject(data);
+  };
 
   return (
     <div style={{ minHeight: "100vh", background: "#080e18", color: "#ede6da", fontFamily: "'Outfit', 'DM Sans', system-ui, sans-serif" }}>
@@ -778,22 +3546,187 @@ export default function VastuPlanApp() {
       {step === 0 && (
         <div style={{ maxWidth: 700, margin: "0 auto", padding: "20px 20px 60px", position: "relative", zIndex: 1, animation: "fadeUp 0.4s ease both" }}>
 
+          {/* Project */}
+          <Section icon="📁" title="Project">
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+              <TextInput label="Client Name" value={project.clientName} placeholder="e.g. Sharma residence" onChange={v => setProject(p => ({ ...p, clientName: v }))} />
+              <TextInput label="Site Address" value={project.siteAddress} placeholder="Plot no., layout, city" onChange={v => setProject(p => ({ ...p, siteAddress: v }))} />
+            </div>
+            <div style={{ display: "flex", gap: 8, marginTop: 10, flexWrap: "wrap" }}>
+              <ActionBtn primary onClick={saveProject} label="Save to Library" />
+              <ActionBtn onClick={exportProject} label="Export JSON" />
+              <ActionBtn onClick={() => importInput.current.click()} label="Import JSON" />
+              <input ref={importInput} type="file" accept=".json,application/json" onChange={importProject} style={{ display: "none" }} />
+            </div>
+            {projectMsg && <InfoBar text={projectMsg} />}
+            {library.length > 0 && (
+              <div style={{ marginTop: 10 }}>
+                {library.map(p => (
+                  <div key={p.id} style={{
+                    display: "flex", alignItems: "center", gap: 8, padding: "7px 10px", marginBottom: 4,
+                    background: "rgba(212,165,116,0.03)", border: "1px solid rgba(212,165,116,0.06)", borderRadius: 5,
+                  }}>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ fontSize: 11, fontWeight: 600, color: "#d4a574" }}>{p.clientName || "Untitled project"}</div>
+                      <div style={{ fontSize: 9, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                        {[p.siteAddress, `${unitsOf(p.config.units).length(p.config.plotWidth)} × ${unitsOf(p.config.units).length(p.config.plotDepth)} ${p.config.facing}`, p.savedAt && new Date(p.savedAt).toLocaleDateString()].filter(Boolean).join(" · ")}
+                      </div>
+                    </div>
+                    <ActionBtn onClick={() => openProject(p)} label="Open" />
+                    <button onClick={() => deleteProject(p.id)} title="Delete from library" style={{ background: "transparent", border: "none", color: "rgba(237,230,218,0.3)", cursor: "pointer", fontSize: 11 }}>✕</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Section>
+
           {/* Plot Dimensions */}
           <Section icon="📐" title="Plot Dimensions">
-            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
-              <NumInput label="Plot Width" unit="ft" value={config.plotWidth} min={18} max={80} onChange={v => update("plotWidth", v)} />
-              <NumInput label="Plot Depth" unit="ft" value={config.plotDepth} min={18} max={80} onChange={v => update("plotDepth", v)} />
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 12 }}>
+              {Object.values(UNIT_SYSTEMS).map(u => (
+                <ChoiceBtn key={u.key} active={units.key === u.key} onClick={() => switchUnits(u.key)} label={u.label} />
+              ))}
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 12 }}>
+              {[{ key: null, l: `Areas in ${unitsOf(config.units).areaUnit}` }, ...Object.entries(AREA_UNITS).map(([key, a]) => ({ key, l: `Areas in ${a.areaUnit}` }))].map(o => (
+                <ChoiceBtn key={o.l} active={(config.areaUnit ?? null) === o.key} onClick={() => updateAreaUnit(o.key)} label={o.l} />
+              ))}
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: 8, marginBottom: 12 }}>
+              {[{ mode: null, l: "Rectangle" }, { mode: "corners", l: "By corners" }, { mode: "sides", l: "By sides" }].map(o => (
+                <ChoiceBtn key={o.l} active={(config.plotShape?.mode ?? null) === o.mode} onClick={() => updateShape(o.mode && shapeAs(config, o.mode))} label={o.l} />
+              ))}
             </div>
-            <InfoBar text={`${plotArea} sqft · ${plotSqYards} sq yards · ${(config.plotWidth * 0.3048).toFixed(1)}m × ${(config.plotDepth * 0.3048).toFixed(1)}m`} />
+            {config.plotShape ? (
+              <PlotShapeEditor shape={config.plotShape} units={units} onChange={updateShape} />
+            ) : (
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+                <LengthInput label="Plot Width" units={units} feet={config.plotWidth} min={PLOT_LIMITS.min} max={PLOT_LIMITS.max} onChange={v => update("plotWidth", v)} />
+                <LengthInput label="Plot Depth" units={units} feet={config.plotDepth} min={PLOT_LIMITS.min} max={PLOT_LIMITS.max} onChange={v => update("plotDepth", v)} />
+              </div>
+            )}
+            {shapeProblem ? (
+              <div style={{ fontSize: 10, color: "#c46b5b", marginTop: 8, fontFamily: "'JetBrains Mono'" }}>{shapeProblem} — planning the {units.length(config.plotWidth)} × {units.length(config.plotDepth)} rectangle meanwhile</div>
+            ) : (
+              <InfoBar text={(units.key === "imperial"
+                ? `${Math.round(plotArea)} sqft · ${plotSqYards} sq yards · ${(config.plotWidth * M_PER_FT).toFixed(1)}m × ${(config.plotDepth * M_PER_FT).toFixed(1)}m`
+                : `${unitsOf(config.units).area(plotArea)} · ${plotSqYards} sq yards · ${feetInches(config.plotWidth)} × ${feetInches(config.plotDepth)} · planned on a 0.15m grid`)
+                + (config.plotShape ? " overall · x along the road, y away from it" : "")} />
+            )}
           </Section>
 
           {/* Facing */}
           <Section icon="🧭" title="Plot Facing (Road Side)">
             <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: 8 }}>
               {Object.entries(FACING_META).map(([key, meta]) => (
-                <FacingBtn key={key} active={config.facing === key} onClick={() => update("facing", key)} icon={meta.icon} label={meta.label} rank={meta.vastuRank} desc={meta.desc} />
+                <FacingBtn key={key} active={config.facing === key} onClick={() => updateBearing(meta.bearing)} icon={meta.icon} label={meta.label} rank={meta.vastuRank} desc={meta.desc} />
+              ))}
+            </div>
+            <div style={{ marginTop: 12 }}>
+              <NumInput label="Exact Bearing of the Road Side" unit="°" value={plotBearing(config)} min={0} max={359} onChange={updateBearing} />
+            </div>
+            {config.bearing != null && (
+              <InfoBar text={`${bearingName(config.bearing)} · ${Math.round(angleGap(config.bearing, FACING_META[config.facing].bearing))}° off ${FACING_META[config.facing].label} — the Vastu grid turns with the plot`} />
+            )}
+          </Section>
+
+          {/* Vastu rulebook */}
+          <Section icon="☸" title="Vastu Tradition">
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: 8, marginBottom: 12 }}>
+              {[...Object.values(VASTU_PROFILES), { id: "custom", name: "Custom" }].map(p => (
+                <ChoiceBtn key={p.id} active={vastuProfile.id === p.id} onClick={() => chooseVastuProfile(p.id)} label={p.name} />
+              ))}
+            </div>
+            {vastuProfile.id === "custom" && (
+              <div style={{ marginBottom: 12 }}>
+                <div style={{ display: "flex", gap: 10, fontSize: 9, fontFamily: "'JetBrains Mono'", color: "rgba(237,230,218,0.35)", marginBottom: 6 }}>
+                  <span style={{ flex: 1 }}>Click a zone: ideal → acceptable → forbidden → none</span>
+                  {Object.entries(VASTU_MARK_COLORS).map(([k, color]) => <span key={k} style={{ color }}>■ {k}</span>)}
+                </div>
+                {vastuProfile.rooms.map((rule, i) => (
+                  <div key={rule.room} style={{ padding: "4px 0" }}>
+                    <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                      <span style={{ flex: 1, fontSize: 11, color: "rgba(237,230,218,0.55)" }}>{rule.name}</span>
+                      {Object.keys(VASTU_ZONES).map(z => {
+                        const mark = Object.keys(VASTU_MARK_COLORS).find(k => rule[k].includes(z));
+                        return (
+                          <button key={z} onClick={() => cycleVastuZone(i, z)} title={mark || "none"} style={{
+                            width: 26, padding: "4px 0", borderRadius: 3, cursor: "pointer", fontSize: 8, fontFamily: "'JetBrains Mono'",
+                            background: mark ? `${VASTU_MARK_COLORS[mark]}33` : "transparent",
+                            border: `1px solid ${mark ? VASTU_MARK_COLORS[mark] : "rgba(212,165,116,0.1)"}`,
+                            color: mark ? VASTU_MARK_COLORS[mark] : "rgba(237,230,218,0.25)",
+                          }}>{z}</button>
+                        );
+                      })}
+                      <input type="number" value={rule.weight} min={0} max={50} title="Weight"
+                        onChange={e => { const v = Number(e.target.value); if (v >= 0 && v <= 50) update("customVastu", vastuProfile.rooms.map((r, j) => (j === i ? { ...r, weight: v } : r))); }}
+                        style={{
+                          width: 40, padding: "4px", background: "rgba(237,230,218,0.03)", border: "1px solid rgba(212,165,116,0.1)",
+                          borderRadius: 3, color: "#ede6da", fontFamily: "'JetBrains Mono'", fontSize: 10, textAlign: "center", outline: "none",
+                        }} />
+                    </div>
+                    <input type="text" value={rule.remedy} placeholder="Remedy when the room is out of its zones" title="Remedy"
+                      onChange={e => updateRemedy(i, e.target.value)}
+                      style={{
+                        width: "100%", boxSizing: "border-box", marginTop: 4, padding: "4px 6px", background: "rgba(237,230,218,0.03)", border: "1px solid rgba(212,165,116,0.1)",
+                        borderRadius: 3, color: "rgba(237,230,218,0.7)", fontSize: 10, outline: "none",
+                      }} />
+                  </div>
+                ))}
+              </div>
+            )}
+            <div style={{ fontSize: 9, color: "rgba(237,230,218,0.3)", lineHeight: 1.5 }}>{vastuProfile.note}</div>
+          </Section>
+
+          {/* Municipal rules */}
+          <Section icon="🏛️" title="Municipal Rules">
+            <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: 8, marginBottom: 12 }}>
+              {[...Object.values(RULE_SETS), { id: "custom", name: "Custom" }].map(r => (
+                <ChoiceBtn key={r.id} active={ruleSetOf(config).id === r.id} onClick={() => update("rules", r.id)} label={r.name} />
               ))}
             </div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 12 }}>
+              <LengthInput label="Road Width" units={units} feet={config.roadWidth ?? DEFAULT_CONFIG.roadWidth} min={ROAD_LIMITS.min} max={ROAD_LIMITS.max} onChange={v => update("roadWidth", v)} />
+              <div>
+                <label style={{ fontSize: 9, letterSpacing: 1, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'", display: "block", marginBottom: 4 }}>Second Road</label>
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(3,1fr)", gap: 4 }}>
+                  {[{ v: "none", l: "No" }, { v: "left", l: "Left" }, { v: "right", l: "Right" }].map(o => (
+                    <ChoiceBtn key={o.v} active={(config.cornerRoad || "none") === o.v} onClick={() => update("cornerRoad", o.v)} label={o.l} />
+                  ))}
+                </div>
+              </div>
+            </div>
+            {hasSideRoad(config) && (
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 12 }}>
+                <LengthInput label="Side Road Width" units={units} feet={config.sideRoadWidth ?? DEFAULT_CONFIG.sideRoadWidth} min={ROAD_LIMITS.min} max={ROAD_LIMITS.max} onChange={v => update("sideRoadWidth", v)} />
+                <div>
+                  <label style={{ fontSize: 9, letterSpacing: 1, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'", display: "block", marginBottom: 4 }}>Main Door On</label>
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 4 }}>
+                    {[{ v: "main", l: `${config.facing} road` }, { v: "side", l: `${facingOf(sideRoadBearing(config))} road` }].map(o => (
+                      <ChoiceBtn key={o.v} active={(config.entranceRoad === "side" ? "side" : "main") === o.v} onClick={() => update("entranceRoad", o.v)} label={o.l} />
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+            {hasSideRoad(config) && (
+              <InfoBar text={`Corner plot: ${bearingName(plotBearing(config))} road and ${bearingName(sideRoadBearing(config))} side road, both with front setbacks`
+                + (config.entranceRoad === "side" ? " · drawn from the side road, which takes the main door" : "")} />
+            )}
+            {config.rules === "custom" && (
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 12 }}>
+                {[["front", "Front Setback"], ["rear", "Rear Setback"], ["side", "Side Setbacks"], ["cornerSide", "Corner Side Setback"], ["sidesFromWidth", "Sides From Plot Width"], ["maxHeight", "Max Height"]].map(([key, label]) => (
+                  <LengthInput key={key} label={label} units={units} fine feet={customRules[key] / M_PER_FT} min={0} max={key === "maxHeight" ? 100 : 50}
+                    onChange={v => update("customRules", { ...customRules, [key]: Math.round(v * M_PER_FT * 1000) / 1000 })} />
+                ))}
+                <NumInput label="Ground Coverage" unit="%" step={5} value={Math.round(customRules.coverage * 100)} min={10} max={100} onChange={v => update("customRules", { ...customRules, coverage: v / 100 })} />
+                <NumInput label="FAR / FSI" unit="" step={0.25} value={customRules.far} min={0.25} max={5} onChange={v => update("customRules", { ...customRules, far: v })} />
+                <NumInput label="Balcony Counted" unit="%" step={25} value={Math.round(customRules.balconyCounted * 100)} min={0} max={100} onChange={v => update("customRules", { ...customRules, balconyCounted: v / 100 })} />
+                <NumInput label="Porch Counted" unit="%" step={25} value={Math.round(customRules.porchCounted * 100)} min={0} max={100} onChange={v => update("customRules", { ...customRules, porchCounted: v / 100 })} />
+              </div>
+            )}
+            <InfoBar text={`Setbacks: front ${units.length(plotLimits.setback.front)} · rear ${units.length(plotLimits.setback.rear)} · left ${units.length(plotLimits.setback.left)} · right ${units.length(plotLimits.setback.right)} · Coverage ${plotLimits.coverage != null ? `≤${Math.round(plotLimits.coverage * 100)}%` : "no limit"} · FAR ${plotLimits.far != null ? `≤${plotLimits.far.toFixed(2)}` : "no limit"} · Height ${plotLimits.maxHeight != null ? `≤${units.length(plotLimits.maxHeight)}` : "no limit"}`} />
+            <div style={{ fontSize: 9, color: "rgba(237,230,218,0.3)", marginTop: 6, lineHeight: 1.5 }}>{plotLimits.note}</div>
           </Section>
 
           {/* Floors */}
@@ -805,13 +3738,21 @@ export default function VastuPlanApp() {
             </div>
           </Section>
 
+          {/* Structure */}
+          <Section icon="🧱" title="Structural Grid">
+            {/* The span only changes the column grid, so the chosen layout and its edits stay */}
+            <LengthInput label="Max Beam Span" units={units} feet={config.maxSpan ?? DEFAULT_CONFIG.maxSpan} min={SPAN_LIMITS.min} max={SPAN_LIMITS.max}
+              onChange={v => commit(p => ({ config: { ...p.config, maxSpan: v } }), "config:maxSpan")} />
+            <InfoBar text="Columns go at wall junctions, lined up through every floor, with more along any beam longer than this" />
+          </Section>
+
           {/* Bedrooms & Bathrooms */}
           <Section icon="🛏️" title="Bedrooms & Bathrooms">
             <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
-              <Counter label="Bedrooms" value={config.bedrooms} min={1} max={config.floors === 1 ? 2 : config.floors === 2 ? 4 : 6} onChange={v => update("bedrooms", v)} />
-              <Counter label="Bathrooms" value={config.bathrooms} min={1} max={config.bedrooms + 1} onChange={v => update("bathrooms", v)} />
+              <Counter label="Bedrooms" value={config.bedrooms} min={1} max={maxBedrooms(config.floors)} onChange={v => update("bedrooms", v)} />
+              <Counter label="Bathrooms" value={config.bathrooms} min={1} max={maxBathrooms(config.bedrooms)} onChange={v => update("bathrooms", v)} />
             </div>
-            <InfoBar text={`${config.bedrooms} BHK · ${config.bedrooms > config.floors ? "Bedrooms distributed across floors" : "1 bedroom per floor"} · Min plot for ${config.bedrooms}BHK: ${config.bedrooms <= 2 ? "600" : config.bedrooms <= 3 ? "800" : "1200"} sqft`} />
+            <InfoBar text={`${config.bedrooms} BHK · ${config.bedrooms > config.floors ? "Bedrooms distributed across floors" : "1 bedroom per floor"} · Min plot for ${config.bedrooms}BHK: ${minPlot ? `${units.length(minPlot.plotWidth)} × ${units.length(minPlot.plotDepth)} (${units.area(minPlot.plotWidth * minPlot.plotDepth)})` : `over ${units.length(PLOT_LIMITS.max)} × ${units.length(PLOT_LIMITS.max)}`}`} />
           </Section>
 
           {/* Features */}
@@ -830,14 +3771,14 @@ export default function VastuPlanApp() {
             borderRadius: 8, padding: 20, textAlign: "center", marginBottom: 20, marginTop: 8,
           }}>
             <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'" }}>EXPECTED VASTU SCORE</div>
-            <div style={{ fontFamily: "'Cormorant Garamond'", fontSize: 52, fontWeight: 700, color: config.facing === "E" || config.facing === "N" ? "#6b9f71" : "#d4a574", marginTop: 4 }}>
-              {config.facing === "E" ? "90+" : config.facing === "N" ? "85+" : config.facing === "W" ? "70+" : "60+"}%
+            <div style={{ fontFamily: "'Cormorant Garamond'", fontSize: 52, fontWeight: 700, color: expectedScore >= 80 ? "#6b9f71" : expectedScore >= 60 ? "#d4a574" : "#c46b5b", marginTop: 4 }}>
+              {expectedScore}%
             </div>
             <div style={{ fontSize: 11, color: "rgba(237,230,218,0.4)", marginTop: 4 }}>{FACING_META[config.facing].desc}</div>
           </div>
 
           {/* Generate */}
-          <button onClick={() => { setStep(1); setActiveFloor(0); }} style={{
+          <button onClick={() => { setStep(1); setActiveFloor(0); setSelectedRoom(null); setSwapping(false); }} style={{
             width: "100%", padding: "16px", border: "none", borderRadius: 8, cursor: "pointer",
             background: "linear-gradient(135deg, #d4a574, #a07850)", color: "#080e18",
             fontSize: 14, fontWeight: 700, letterSpacing: 1.5, fontFamily: "'Outfit'",
@@ -861,12 +3802,27 @@ export default function VastuPlanApp() {
               background: "rgba(237,230,218,0.04)", border: "1px solid rgba(212,165,116,0.12)", borderRadius: 5,
               padding: "7px 14px", color: "#d4a574", cursor: "pointer", fontSize: 12, fontFamily: "'Outfit'",
             }}>← Modify</button>
+            <div style={{ display: "flex", gap: 6 }}>
+              {[
+                { l: "↶ Undo", title: "Undo (Ctrl+Z)", onClick: undo, disabled: !history.past.length },
+                { l: "↷ Redo", title: "Redo (Ctrl+Shift+Z)", onClick: redo, disabled: !history.future.length },
+                { l: "💾 Save", title: "Save to the project library", onClick: saveProject, disabled: false },
+                { l: "⤓ Export", title: "Download the project as JSON", onClick: exportProject, disabled: false },
+                { l: "🔗 Share", title: "Copy a link to this plan", onClick: shareLink, disabled: false },
+              ].map(b => (
+                <button key={b.l} title={b.title} onClick={b.onClick} disabled={b.disabled} style={{
+                  background: "transparent", border: "1px solid rgba(212,165,116,0.12)", borderRadius: 5,
+                  padding: "7px 12px", color: "#d4a574", cursor: b.disabled ? "default" : "pointer", opacity: b.disabled ? 0.35 : 1,
+                  fontSize: 11, fontFamily: "'Outfit'",
+                }}>{b.l}</button>
+              ))}
+            </div>
             <div style={{ display: "flex", gap: 18, flexWrap: "wrap" }}>
               {[
-                { l: "PLOT", v: `${config.plotWidth}' × ${config.plotDepth}'` },
+                { l: "PLOT", v: `${units.length(config.plotWidth)} × ${units.length(config.plotDepth)}` },
                 { l: "CONFIG", v: `${config.bedrooms}BHK / ${config.bathrooms}B` },
                 { l: "FLOORS", v: config.floors === 1 ? "G" : config.floors === 2 ? "G+1" : "G+2" },
-                { l: "BUILT-UP", v: `~${builtArea} sqft` },
+                { l: "BUILT-UP", v: `~${units.area(builtArea)}` },
                 { l: "VASTU", v: `${result.vastuResult.score}%` },
               ].map(s => (
                 <div key={s.l} style={{ textAlign: "center" }}>
@@ -877,10 +3833,33 @@ export default function VastuPlanApp() {
             </div>
           </div>
 
+          {projectMsg && <InfoBar text={projectMsg} />}
+
+          {/* Layout options, best first */}
+          {options.length > 1 && (
+            <div style={{ display: "flex", gap: 8, marginBottom: 14, overflowX: "auto" }}>
+              {options.map((o, i) => (
+                <button key={i} onClick={() => { commit({ option: i, edits: null }); setActiveFloor(0); setSelectedRoom(null); setSwapping(false); }} style={{
+                  flex: "0 0 150px", background: activeOption === i ? "rgba(212,165,116,0.12)" : "rgba(12,26,44,0.5)",
+                  border: activeOption === i ? "1.5px solid rgba(212,165,116,0.35)" : "1px solid rgba(212,165,116,0.08)",
+                  borderRadius: 6, padding: 6, cursor: "pointer", textAlign: "left", transition: "all 0.15s",
+                }}>
+                  <div style={{ pointerEvents: "none", opacity: activeOption === i ? 1 : 0.6 }}>
+                    {o.errors.length > 0
+                      ? <div style={{ height: 100, display: "flex", alignItems: "center", justifyContent: "center", fontSize: 9, color: "#c46b5b" }}>Cannot be drawn</div>
+                      : <FloorPlanSVG plan={o.plans[0]} setback={o.setback} bearing={o.bearing} dirLabels={o.dirLabels} />}
+                  </div>
+                  <div style={{ fontSize: 10, fontWeight: 600, color: activeOption === i ? "#d4a574" : "rgba(237,230,218,0.5)", marginTop: 4, fontFamily: "'Outfit'" }}>Option {i + 1}</div>
+                  <div style={{ fontSize: 8, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'" }}>VASTU {o.vastuResult.score}% · SPACE {o.efficiency}%</div>
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Floor tabs */}
           <div style={{ display: "flex", gap: 6, marginBottom: 14 }}>
             {result.plans.map((p, i) => (
-              <button key={i} onClick={() => setActiveFloor(i)} style={{
+              <button key={i} onClick={() => { setActiveFloor(i); setSelectedRoom(null); setSwapping(false); }} style={{
                 background: activeFloor === i ? "rgba(212,165,116,0.12)" : "transparent",
                 border: activeFloor === i ? "1.5px solid rgba(212,165,116,0.35)" : "1px solid rgba(212,165,116,0.08)",
                 borderRadius: 5, padding: "9px 18px", cursor: "pointer",
@@ -900,112 +3879,312 @@ export default function VastuPlanApp() {
             </button>
           </div>
 
+          {/* Issues found by the engine — errors replace the drawing */}
+          {result.errors.length > 0 && <IssueList title="PLAN CANNOT BE DRAWN" tone="error" items={result.errors} />}
+          {result.warnings.length > 0 && <IssueList title="PLAN WARNINGS" tone="warn" items={result.warnings} />}
+          <BylawBar rules={result.rules} bylaws={result.bylaws} setback={setbackFt} units={units} />
+
           {/* Main content */}
-          <div style={{ display: "flex", gap: 20, flexWrap: "wrap" }}>
-            {/* SVG Plan */}
-            <div style={{
-              flex: "1 1 440px", minWidth: 340,
-              background: "rgba(12,26,44,0.5)", border: "1px solid rgba(212,165,116,0.08)",
-              borderRadius: 8, padding: 14, position: "relative",
-            }}>
-              <FloorPlanSVG
-                plan={result.plans[activeFloor]}
-                setback={result.setback}
-                plotWidth={config.plotWidth}
-                plotDepth={config.plotDepth}
-                facing={config.facing}
-                dirLabels={result.dirLabels}
-              />
-              {/* Legend */}
-              <div style={{ display: "flex", gap: 14, marginTop: 10, flexWrap: "wrap" }}>
-                {[
-                  { color: "#d4a574", w: 12, h: 3, label: "Door" },
-                  { color: "#5ba3c4", w: 12, h: 3, label: "Window" },
-                  { color: "#d4a574", w: 8, h: 1, label: "Dimension", dash: true },
-                  { color: "#4a3a2a", w: 12, h: 2, label: "Wall" },
-                ].map(l => (
-                  <div key={l.label} style={{ display: "flex", alignItems: "center", gap: 5, fontSize: 8, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'" }}>
-                    <div style={{ width: l.w, height: l.h, background: l.color, borderRadius: 0.5, opacity: l.dash ? 0.5 : 1 }} />
-                    {l.label}
+          {result.errors.length > 0 ? (
+            <div style={{ fontSize: 10, color: "rgba(237,230,218,0.4)" }}>Try a larger plot or fewer rooms, then generate again.</div>
+          ) : (
+            <div style={{ display: "flex", gap: 20, flexWrap: "wrap" }}>
+              {/* SVG Plan */}
+              <div style={{
+                flex: "1 1 440px", minWidth: 340,
+                background: "rgba(12,26,44,0.5)", border: "1px solid rgba(212,165,116,0.08)",
+                borderRadius: 8, padding: 14, position: "relative",
+              }}>
+                {/* Edit bar */}
+                <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+                  <span style={{ flex: 1, fontSize: 9, color: "rgba(237,230,218,0.4)", fontFamily: "'JetBrains Mono'" }}>
+                    {!selected ? "Click a room to edit it" : swapping ? `Click the room to swap with ${selected.name}` : `${selected.name} · drag a handle to move its wall`}
+                  </span>
+                  {selected && (
+                    <button onClick={() => setSwapping(!swapping)} style={{
+                      background: swapping ? "rgba(212,165,116,0.12)" : "transparent", border: "1px solid rgba(212,165,116,0.2)",
+                      borderRadius: 4, padding: "5px 10px", color: "#d4a574", cursor: "pointer", fontSize: 10, fontFamily: "'Outfit'",
+                    }}>⇄ Swap</button>
+                  )}
+                  {editedPlans && (
+                    <button onClick={resetEdits} style={{
+                      background: "transparent", border: "1px solid rgba(212,165,116,0.2)",
+                      borderRadius: 4, padding: "5px 10px", color: "#d4a574", cursor: "pointer", fontSize: 10, fontFamily: "'Outfit'",
+                    }}>↺ Reset edits</button>
+                  )}
+                  <button onClick={() => setShowMandala(!showMandala)} style={{
+                    background: showMandala ? "rgba(212,165,116,0.12)" : "transparent", border: "1px solid rgba(212,165,116,0.2)",
+                    borderRadius: 4, padding: "5px 10px", color: "#d4a574", cursor: "pointer", fontSize: 10, fontFamily: "'Outfit'",
+                  }}>▦ Mandala</button>
+                  <button onClick={() => setShowFurniture(!showFurniture)} style={{
+                    background: showFurniture ? "rgba(212,165,116,0.12)" : "transparent", border: "1px solid rgba(212,165,116,0.2)",
+                    borderRadius: 4, padding: "5px 10px", color: "#d4a574", cursor: "pointer", fontSize: 10, fontFamily: "'Outfit'",
+                  }}>▭ Furniture</button>
+                  <button onClick={() => setShowColumns(!showColumns)} style={{
+                    background: showColumns ? "rgba(212,165,116,0.12)" : "transparent", border: "1px solid rgba(212,165,116,0.2)",
+                    borderRadius: 4, padding: "5px 10px", color: "#d4a574", cursor: "pointer", fontSize: 10, fontFamily: "'Outfit'",
+                  }}>▪ Columns</button>
+                </div>
+                <FloorPlanSVG
+                  plan={result.plans[activeFloor]}
+                  setback={result.setback}
+                  bearing={result.bearing}
+                  dirLabels={result.dirLabels}
+                  mandala={showMandala}
+                  furniture={showFurniture}
+                  structure={structure}
+                  selectedId={selectedRoom}
+                  onSelect={handleSelect}
+                  onMoveWall={handleMoveWall}
+                />
+                {/* Legend */}
+                <div style={{ display: "flex", gap: 14, marginTop: 10, flexWrap: "wrap" }}>
+                  {[
+                    { color: "#d4a574", w: 12, h: 3, label: "Door" },
+                    { color: "#5ba3c4", w: 12, h: 3, label: "Window" },
+                    { color: "#d4a574", w: 8, h: 1, label: "Dimension", dash: true },
+                    { color: "#4a3a2a", w: 12, h: 2, label: "Wall" },
+                  ].map(l => (
+                    <div key={l.label} style={{ display: "flex", alignItems: "center", gap: 5, fontSize: 8, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'" }}>
+                      <div style={{ width: l.w, height: l.h, background: l.color, borderRadius: 0.5, opacity: l.dash ? 0.5 : 1 }} />
+                      {l.label}
+                    </div>
+                  ))}
+                  <div style={{ marginLeft: "auto", display: "flex", gap: 5 }}>
+                    {[
+                      { format: "svg", label: "SVG", title: "This floor as a vector drawing" },
+                      { format: "png", label: "PNG", title: "This floor as a high-resolution image" },
+                      { format: "pdf", label: "PDF set", title: "Every floor, the room schedule, the area statement and the Vastu report" },
+                      { format: "dxf", label: "DXF", title: `Every floor for CAD, drawn in ${units.key === "metric" ? "metres" : "feet"}` },
+                    ].map(d => (
+                      <button key={d.format} onClick={() => exportDrawing(d.format)} disabled={!!exporting} title={d.title} style={{
+                        background: "transparent", border: "1px solid rgba(212,165,116,0.2)", borderRadius: 4, padding: "3px 8px",
+                        color: "#d4a574", cursor: exporting ? "wait" : "pointer", fontSize: 9, fontFamily: "'JetBrains Mono'", opacity: exporting && exporting !== d.format ? 0.4 : 1,
+                      }}>{exporting === d.format ? "…" : `⤓ ${d.label}`}</button>
+                    ))}
                   </div>
-                ))}
+                </div>
+                {/* Structural grid summary, with the beams and walls an engineer should look at */}
+                {structure && (() => {
+                  const here = structure.columns.filter(c => c.top >= activeFloor);
+                  const longest = Math.max(0, ...structure.beams.map(b => b.span));
+                  const issues = [
+                    ...structure.beams.filter(b => b.long).map(b => ({ text: `${result.plans[b.floor].label}: a ${units.length(b.span)} beam has no wall below for a column between — deepen the beam or add a wall` })),
+                    ...structure.unsupported.map(u => ({ text: `${result.plans[u.floor].label}: ${units.length(u.length)} of wall has no wall below — carry it on a beam` })),
+                  ];
+                  return (
+                    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                      <InfoBar text={`${here.length} columns on this floor, ${here.filter(c => c.added).length} added to keep beams within ${units.length(maxSpan)} · longest beam ${units.length(longest)} · a starting grid for the engineer, not a structural design`} />
+                      {issues.length > 0 && <IssueList title="STRUCTURAL GRID" tone="warn" items={issues} />}
+                    </div>
+                  );
+                })()}
               </div>
-            </div>
 
-            {/* Right panel: Room Schedule OR Vastu Report */}
-            <div style={{ flex: "0 0 290px", minWidth: 250 }}>
-              {!showVastuPanel ? (
-                <>
-                  <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", marginBottom: 8 }}>ROOM SCHEDULE</div>
-                  {result.plans[activeFloor].rooms.map((room, idx) => (
-                    <div key={room.id} style={{
-                      background: "rgba(212,165,116,0.03)", border: "1px solid rgba(212,165,116,0.06)",
-                      borderRadius: 5, padding: "8px 10px", marginBottom: 4, animation: `slideIn 0.3s ${idx * 0.04}s ease both`,
-                    }}>
-                      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-                        <span style={{ fontSize: 11, fontWeight: 600, color: room.isOpen ? "#6b9f71" : room.isWet ? "#5ba3c4" : "#d4a574" }}>{room.name}</span>
-                        <span style={{ fontSize: 9, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'" }}>
-                          {room.w}' × {room.h}' · {room.w * room.h} sqft
-                        </span>
+              {/* Right panel: Room Schedule OR Vastu Report */}
+              <div style={{ flex: "0 0 290px", minWidth: 250 }}>
+                {!showVastuPanel ? (
+                  <>
+                    <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", marginBottom: 8 }}>ROOM SCHEDULE</div>
+                    {result.plans[activeFloor].rooms.map((room, idx) => (
+                      <div key={room.id} style={{
+                        background: "rgba(212,165,116,0.03)", border: "1px solid rgba(212,165,116,0.06)",
+                        borderRadius: 5, padding: "8px 10px", marginBottom: 4, animation: `slideIn 0.3s ${idx * 0.04}s ease both`,
+                      }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                          <span style={{ fontSize: 11, fontWeight: 600, color: room.isOpen ? "#6b9f71" : room.isWet ? "#5ba3c4" : "#d4a574" }}>{room.name}</span>
+                          <span style={{ fontSize: 9, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'" }}>
+                            {room.isOpen ? roomSize(room, units) : clearRoomSize(room, result.plans[activeFloor], units)}
+                          </span>
+                        </div>
+                        <div style={{ display: "flex", justifyContent: "space-between", gap: 8, marginTop: 2 }}>
+                          <span style={{ fontSize: 9, color: "rgba(237,230,218,0.3)" }}>☸ {room.vastu}</span>
+                          <span style={{ fontSize: 8, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", whiteSpace: "nowrap" }}>
+                            {room.isOpen ? roomArea(room, units) : `${units.area(carpetArea(room, result.plans[activeFloor]))} carpet · ${roomArea(room, units)} built-up`}
+                          </span>
+                        </div>
                       </div>
-                      <div style={{ fontSize: 9, color: "rgba(237,230,218,0.3)", marginTop: 2 }}>☸ {room.vastu}</div>
-                    </div>
-                  ))}
+                    ))}
 
-                  {/* Cost estimate */}
-                  <div style={{
-                    marginTop: 16, padding: 14, background: "rgba(107,159,113,0.05)",
-                    border: "1px solid rgba(107,159,113,0.1)", borderRadius: 6, textAlign: "center",
-                  }}>
-                    <div style={{ fontSize: 8, letterSpacing: 2, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'" }}>EST. CONSTRUCTION COST</div>
-                    <div style={{ fontFamily: "'Cormorant Garamond'", fontSize: 28, fontWeight: 700, color: "#6b9f71", marginTop: 2 }}>
-                      ₹{Math.round(builtArea * 1800 / 100000)}–{Math.round(builtArea * 2800 / 100000)}L
-                    </div>
-                    <div style={{ fontSize: 8, color: "rgba(237,230,218,0.25)", fontFamily: "'JetBrains Mono'", marginTop: 2 }}>
-                      @₹1,800–2,800/sqft · {builtArea} sqft · Tier 2-3 cities
-                    </div>
-                  </div>
-                </>
-              ) : (
-                <>
-                  {/* Vastu Report */}
-                  <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", marginBottom: 8 }}>VASTU COMPLIANCE REPORT</div>
-                  <div style={{
-                    textAlign: "center", padding: 16, background: "rgba(212,165,116,0.04)",
-                    border: "1px solid rgba(212,165,116,0.1)", borderRadius: 6, marginBottom: 12,
-                  }}>
+                    {/* Cost estimate */}
                     <div style={{
-                      fontFamily: "'Cormorant Garamond'", fontSize: 48, fontWeight: 700,
-                      color: result.vastuResult.score >= 80 ? "#6b9f71" : result.vastuResult.score >= 60 ? "#d4a574" : "#c46b5b",
+                      marginTop: 16, padding: 14, background: "rgba(107,159,113,0.05)",
+                      border: "1px solid rgba(107,159,113,0.1)", borderRadius: 6, textAlign: "center",
                     }}>
-                      {result.vastuResult.score}%
-                    </div>
-                    <div style={{ fontSize: 10, color: "rgba(237,230,218,0.4)", marginTop: 2 }}>
-                      {result.vastuResult.score >= 80 ? "Excellent Vastu Alignment" : result.vastuResult.score >= 60 ? "Good — Minor Corrections Advised" : "Needs Vastu Corrections"}
+                      <div style={{ fontSize: 8, letterSpacing: 2, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'" }}>EST. CONSTRUCTION COST</div>
+                      <div style={{ fontFamily: "'Cormorant Garamond'", fontSize: 28, fontWeight: 700, color: "#6b9f71", marginTop: 2 }}>
+                        ₹{Math.round(builtArea * 1800 / 100000)}–{Math.round(builtArea * 2800 / 100000)}L
+                      </div>
+                      <div style={{ fontSize: 8, color: "rgba(237,230,218,0.25)", fontFamily: "'JetBrains Mono'", marginTop: 2 }}>
+                        @₹{rate(1800)}–{rate(2800)}/{units.areaUnit} · {units.area(builtArea)} · Tier 2-3 cities
+                      </div>
                     </div>
-                  </div>
-
-                  {result.vastuResult.tips.map((tip, i) => (
-                    <div key={i} style={{
-                      display: "flex", gap: 8, alignItems: "flex-start", padding: "7px 10px",
-                      background: tip.type === "good" ? "rgba(107,159,113,0.05)" : tip.type === "bad" ? "rgba(196,107,91,0.05)" : "rgba(212,165,116,0.04)",
-                      borderLeft: `2px solid ${tip.type === "good" ? "rgba(107,159,113,0.4)" : tip.type === "bad" ? "rgba(196,107,91,0.3)" : "rgba(212,165,116,0.2)"}`,
-                      borderRadius: "0 4px 4px 0", marginBottom: 3, animation: `slideIn 0.3s ${i * 0.05}s ease both`,
+                  </>
+                ) : (
+                  <>
+                    {/* Vastu Report */}
+                    <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", marginBottom: 8 }}>VASTU COMPLIANCE REPORT</div>
+                    <div style={{
+                      textAlign: "center", padding: 16, background: "rgba(212,165,116,0.04)",
+                      border: "1px solid rgba(212,165,116,0.1)", borderRadius: 6, marginBottom: 12,
                     }}>
-                      <span style={{ fontSize: 10, color: "rgba(237,230,218,0.5)", lineHeight: 1.5 }}>{tip.text}</span>
+                      <div style={{
+                        fontFamily: "'Cormorant Garamond'", fontSize: 48, fontWeight: 700,
+                        color: result.vastuResult.score >= 80 ? "#6b9f71" : result.vastuResult.score >= 60 ? "#d4a574" : "#c46b5b",
+                      }}>
+                        {result.vastuResult.score}%
+                      </div>
+                      <div style={{ fontSize: 10, color: "rgba(237,230,218,0.4)", marginTop: 2 }}>
+                        {result.vastuResult.score >= 80 ? "Excellent Vastu Alignment" : result.vastuResult.score >= 60 ? "Good — Minor Corrections Advised" : "Needs Vastu Corrections"}
+                      </div>
+                      <div style={{ fontSize: 9, color: "rgba(237,230,218,0.3)", marginTop: 4, fontFamily: "'JetBrains Mono'" }}>Rulebook: {vastuProfile.name}</div>
                     </div>
-                  ))}
 
-                  {/* Vastu zones reference */}
-                  <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", margin: "16px 0 8px" }}>VASTU ZONES (DISHA)</div>
-                  {Object.entries(VASTU_ZONES).slice(0, 4).map(([z, info]) => (
-                    <div key={z} style={{ display: "flex", gap: 8, alignItems: "center", padding: "4px 0" }}>
-                      <span style={{ fontSize: 9, fontFamily: "'JetBrains Mono'", color: "#d4a574", minWidth: 22, fontWeight: 600 }}>{z}</span>
-                      <span style={{ fontSize: 9, color: "rgba(237,230,218,0.35)" }}>{info.label} · {info.element} · {info.ideal.join(", ")}</span>
+                    {result.vastuResult.tips.map((tip, i) => (
+                      <div key={i} style={{
+                        display: "flex", flexDirection: "column", gap: 3, padding: "7px 10px",
+                        background: tip.type === "good" ? "rgba(107,159,113,0.05)" : tip.type === "bad" ? "rgba(196,107,91,0.05)" : "rgba(212,165,116,0.04)",
+                        borderLeft: `2px solid ${tip.type === "good" ? "rgba(107,159,113,0.4)" : tip.type === "bad" ? "rgba(196,107,91,0.3)" : "rgba(212,165,116,0.2)"}`,
+                        borderRadius: "0 4px 4px 0", marginBottom: 3, animation: `slideIn 0.3s ${i * 0.05}s ease both`,
+                      }}>
+                        <span style={{ fontSize: 10, color: "rgba(237,230,218,0.5)", lineHeight: 1.5 }}>{tip.text}</span>
+                        {/* Remedies short of rebuilding */}
+                        {tip.remedies?.map((r, j) => (
+                          <div key={j} style={{ display: "flex", gap: 8, alignItems: "baseline", paddingLeft: 10 }}>
+                            <span style={{ fontSize: 7, letterSpacing: 1, color: "#d4a574", fontFamily: "'JetBrains Mono'", minWidth: 62, textTransform: "uppercase" }}>{r.kind}</span>
+                            <span style={{ fontSize: 9, color: "rgba(237,230,218,0.4)", lineHeight: 1.4 }}>{r.text}</span>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+
+                    {/* Score breakdown — the rows the score is summed from */}
+                    <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", margin: "16px 0 8px" }}>SCORE BREAKDOWN</div>
+                    <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 8 }}>
+                      {result.vastuResult.floors.filter(f => f.score != null).map(f => (
+                        <span key={f.floor} style={{ fontSize: 9, fontFamily: "'JetBrains Mono'", color: "rgba(237,230,218,0.45)" }}>
+                          {f.label} <span style={{ color: f.score >= 80 ? "#6b9f71" : f.score >= 60 ? "#d4a574" : "#c46b5b" }}>{f.score}%</span>
+                        </span>
+                      ))}
                     </div>
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 9, fontFamily: "'JetBrains Mono'" }}>
+                      <thead>
+                        <tr>
+                          {["ROOM", "FLOOR", "ZONE", "VERDICT", "POINTS"].map((h, i) => (
+                            <th key={h} style={{ textAlign: i === 4 ? "right" : "left", fontWeight: 400, letterSpacing: 1, color: "rgba(237,230,218,0.3)", padding: "3px 4px", borderBottom: "1px solid rgba(212,165,116,0.1)" }}>{h}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.vastuResult.rows.map((row, i) => (
+                          <tr key={i}>
+                            {[row.item, row.floor || "Plot", row.zone, row.verdict, `${vastuPoints(row.points)} / ${vastuPoints(row.max)}`].map((cell, j) => (
+                              <td key={j} style={{
+                                textAlign: j === 4 ? "right" : "left", padding: "3px 4px", borderBottom: "1px solid rgba(212,165,116,0.04)",
+                                color: j === 3 ? (row.points >= row.max ? "#6b9f71" : row.points > 0 ? "#d4a574" : "#c46b5b") : "rgba(237,230,218,0.5)",
+                              }}>{cell}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+
+                    {/* Vastu zones reference */}
+                    <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", margin: "16px 0 8px" }}>VASTU ZONES (DISHA)</div>
+                    {Object.entries(VASTU_ZONES).slice(0, 4).map(([z, info]) => (
+                      <div key={z} style={{ display: "flex", gap: 8, alignItems: "center", padding: "4px 0" }}>
+                        <span style={{ fontSize: 9, fontFamily: "'JetBrains Mono'", color: "#d4a574", minWidth: 22, fontWeight: 600 }}>{z}</span>
+                        <span style={{ fontSize: 9, color: "rgba(237,230,218,0.35)" }}>{info.label} · {info.element} · {vastuProfile.rooms.filter(r => r.ideal.includes(z)).map(r => r.name).join(", ") || "—"}</span>
+                      </div>
+                    ))}
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Area statement for the approval application */}
+          {areas && result.errors.length === 0 && (
+            <div style={{ marginTop: 18 }}>
+              <div style={{ display: "flex", alignItems: "center", marginBottom: 8 }}>
+                <div style={{ flex: 1, fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'" }}>AREA STATEMENT · {result.rules.name.toUpperCase()}</div>
+                <button onClick={() => exportDrawing("csv")} disabled={!!exporting} title="The area statement as a spreadsheet" style={{
+                  background: "transparent", border: "1px solid rgba(212,165,116,0.2)", borderRadius: 4, padding: "3px 8px",
+                  color: "#d4a574", cursor: exporting ? "wait" : "pointer", fontSize: 9, fontFamily: "'JetBrains Mono'",
+                }}>⤓ CSV</button>
+              </div>
+              <div style={{ overflowX: "auto" }}>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, fontFamily: "'JetBrains Mono'" }}>
+                  <thead>
+                    <tr style={{ color: "rgba(237,230,218,0.3)", fontSize: 8, letterSpacing: 1.5 }}>
+                      {areaColumns(units).map((h, i) => (
+                        <th key={h} style={{ padding: "5px 8px", fontWeight: 500, textAlign: i ? "right" : "left" }}>{h.toUpperCase()}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {areaStatementRows(areas, units).map((row, i) => (
+                      <tr key={i} style={{ borderTop: row.bold ? "1px solid rgba(212,165,116,0.1)" : "none", color: row.bold ? "#d4a574" : "rgba(237,230,218,0.6)" }}>
+                        {row.cells.map((c, j) => (
+                          <td key={j} style={{ padding: "3px 8px", textAlign: j ? "right" : "left", fontFamily: j ? "'JetBrains Mono'" : "'Outfit'", fontWeight: row.bold ? 600 : 400, paddingLeft: j || row.bold ? 8 : 18 }}>{c}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ fontSize: 9, color: "rgba(237,230,218,0.3)", marginTop: 6, lineHeight: 1.5 }}>
+                Carpet area is inside {units.length(WALL_THICKNESS.external)} external and {units.length(WALL_THICKNESS.internal)} internal walls. Floor areas run to wall centres; open areas count towards built-up area and FAR at the shares {result.rules.name} sets.
+              </div>
+            </div>
+          )}
+
+          {/* Versions: named snapshots side by side with the current plan */}
+          <div style={{ marginTop: 18 }}>
+            <div style={{ fontSize: 9, letterSpacing: 3, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", marginBottom: 8 }}>VERSIONS</div>
+            <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+              <input value={snapshotName} onChange={e => setSnapshotName(e.target.value)} onKeyDown={e => e.key === "Enter" && saveSnapshot()}
+                placeholder={`Version ${snapshots.length + 1} — e.g. Client v1, After site visit`} style={{
+                  flex: 1, background: "rgba(237,230,218,0.04)", border: "1px solid rgba(212,165,116,0.12)", borderRadius: 5,
+                  padding: "7px 10px", color: "#ede6da", fontSize: 11, fontFamily: "'Outfit'", outline: "none",
+                }} />
+              <button onClick={saveSnapshot} style={{
+                background: "rgba(212,165,116,0.12)", border: "1px solid rgba(212,165,116,0.25)", borderRadius: 5,
+                padding: "7px 14px", color: "#d4a574", cursor: "pointer", fontSize: 11, fontFamily: "'Outfit'", fontWeight: 600,
+              }}>Save snapshot</button>
+            </div>
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, fontFamily: "'JetBrains Mono'" }}>
+                <thead>
+                  <tr style={{ color: "rgba(237,230,218,0.3)", fontSize: 8, letterSpacing: 1.5, textAlign: "left" }}>
+                    {["VERSION", "PLOT", "FACING", "PROGRAM", "VASTU", "BUILT-UP", "SPACE", "ISSUES", ""].map(h => (
+                      <th key={h} style={{ padding: "5px 8px", fontWeight: 500 }}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {[{ id: "current", name: "Current", summary: summarize(history.present, result) }, ...snapshots].map(snap => (
+                    <tr key={snap.id} style={{ borderTop: "1px solid rgba(212,165,116,0.06)", color: snap.id === "current" ? "#d4a574" : "rgba(237,230,218,0.6)" }}>
+                      <td style={{ padding: "6px 8px", fontFamily: "'Outfit'", fontWeight: 600 }}>{snap.name}</td>
+                      <td style={{ padding: "6px 8px" }}>{snap.summary.plot}</td>
+                      <td style={{ padding: "6px 8px" }}>{snap.summary.facing}</td>
+                      <td style={{ padding: "6px 8px" }}>{snap.summary.program}</td>
+                      <td style={{ padding: "6px 8px" }}>{snap.summary.vastu}%</td>
+                      <td style={{ padding: "6px 8px" }}>{units.area(snap.summary.builtUp)}</td>
+                      <td style={{ padding: "6px 8px" }}>{snap.summary.efficiency}%</td>
+                      <td style={{ padding: "6px 8px" }}>{snap.summary.issues}</td>
+                      <td style={{ padding: "6px 8px", textAlign: "right", whiteSpace: "nowrap" }}>
+                        {snap.id !== "current" && (
+                          <>
+                            <button onClick={() => restoreSnapshot(snap)} style={{ background: "transparent", border: "none", color: "#d4a574", cursor: "pointer", fontSize: 10, fontFamily: "'Outfit'" }}>Restore</button>
+                            <button onClick={() => setSnapshots(list => list.filter(s => s !== snap))} style={{ background: "transparent", border: "none", color: "rgba(237,230,218,0.3)", cursor: "pointer", fontSize: 10, marginLeft: 6 }}>✕</button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
                   ))}
-                </>
-              )}
+                </tbody>
+              </table>
             </div>
           </div>
 
@@ -1014,8 +4193,8 @@ export default function VastuPlanApp() {
             fontFamily: "'JetBrains Mono'", fontSize: 9, color: "rgba(237,230,218,0.2)",
             padding: "14px 0", borderTop: "1px solid rgba(212,165,116,0.06)", marginTop: 18, lineHeight: 1.9,
           }}>
-            ※ SETBACKS: Front — {result.setback.front}ft · Rear — {result.setback.rear}ft · Sides — {result.setback.left}ft each
-            &nbsp;|&nbsp; FLOOR HEIGHT: 10ft clear · PARAPET: 3.5ft
+            ※ SETBACKS ({result.rules.name}): Front — {units.length(setbackFt.front)} · Rear — {units.length(setbackFt.rear)} · Left — {units.length(setbackFt.left)} · Right — {units.length(setbackFt.right)}
+            &nbsp;|&nbsp; FLOOR HEIGHT: {units.length(10)} clear · PARAPET: {units.length(3.5)}
             &nbsp;|&nbsp; STRUCTURE: RCC Frame / Load-bearing · M25 Concrete · Fe500 Steel
             &nbsp;|&nbsp; OVERHEAD TANK: NW zone per Vastu · SEPTIC: North side
             <br/>※ This is a conceptual Vastu-compliant plan. Please consult a licensed architect for structural drawings, soil testing, and municipal approval (DTCP/HMDA/BDA etc).
@@ -1048,13 +4227,14 @@ function Section({ icon, title, children }) {
   );
 }
 
-function NumInput({ label, unit, value, min, max, onChange }) {
+function NumInput({ label, unit, value, min, max, step = 1, onChange }) {
+  const nudge = (by) => onChange(Math.round((value + by) * 100) / 100);
   return (
     <div>
       <label style={{ fontSize: 9, letterSpacing: 1, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'", display: "block", marginBottom: 4 }}>{label}</label>
       <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
-        <button onClick={() => value > min && onChange(value - 1)} style={{ ...counterBtnStyle }}>−</button>
-        <input type="number" value={value} min={min} max={max} onChange={e => { const v = Number(e.target.value); if (v >= min && v <= max) onChange(v); }}
+        <button onClick={() => value - step >= min && nudge(-step)} style={{ ...counterBtnStyle }}>−</button>
+        <input type="number" value={value} min={min} max={max} step={step} onChange={e => { const v = Number(e.target.value); if (v >= min && v <= max) onChange(v); }}
           style={{
             flex: 1, padding: "9px 10px", background: "rgba(237,230,218,0.03)", border: "1px solid rgba(212,165,116,0.1)",
             borderRadius: 4, color: "#ede6da", fontFamily: "'JetBrains Mono'", fontSize: 14, outline: "none", textAlign: "center",
@@ -1062,13 +4242,112 @@ function NumInput({ label, unit, value, min, max, onChange }) {
           onFocus={e => e.target.style.borderColor = "rgba(212,165,116,0.3)"}
           onBlur={e => e.target.style.borderColor = "rgba(212,165,116,0.1)"}
         />
-        <button onClick={() => value < max && onChange(value + 1)} style={{ ...counterBtnStyle }}>+</button>
+        <button onClick={() => value + step <= max && nudge(step)} style={{ ...counterBtnStyle }}>+</button>
         <span style={{ fontSize: 10, color: "rgba(237,230,218,0.3)", fontFamily: "'JetBrains Mono'", minWidth: 18 }}>{unit}</span>
       </div>
     </div>
   );
 }
 
+// A length kept in feet, entered in the unit system's own units. `fine`
+// steps by half a foot or 5 cm instead of a foot or the 15 cm grid.
+function LengthInput({ label, units, feet, min, max, fine, onChange }) {
+  const shown = (ft) => Math.round(ft * units.perFoot * 100) / 100;
+  const step = units.key === "metric" ? (fine ? 0.05 : 0.15) : (fine ? 0.5 : 1);
+  return (
+    <NumInput label={label} unit={units.unit} step={step} value={shown(feet)}
+      min={Math.ceil(min * units.perFoot * 100) / 100} max={Math.floor(max * units.perFoot * 100) / 100}
+      onChange={v => onChange(v / units.perFoot)} />
+  );
+}
+
+// A shaped plot's corners, or its sides and diagonals, lettered A, B, C…
+// from the road-side left corner, with a sketch of the result. Corners
+// are added on, and removed from, the side that closes the plot.
+function PlotShapeEditor({ shape, units, onChange }) {
+  const letter = (i) => String.fromCharCode(65 + i);
+  const corners = shapeCorners(shape);
+  const n = shape.mode === "sides" ? shape.sides.length : shape.corners.length;
+  const set = (key, i, v) => onChange({ ...shape, [key]: shape[key].map((x, j) => (j === i ? v : x)) });
+  const addCorner = () => {
+    const [[ax, ay], [lx, ly]] = [corners[0], corners[corners.length - 1]];
+    onChange(shapeThrough(shape.mode, [...corners, [(ax + lx) / 2, (ay + ly) / 2]]));
+  };
+  const removeCorner = () => onChange(shapeThrough(shape.mode, corners.slice(0, -1)));
+  const fields = shape.mode === "corners"
+    ? shape.corners.flatMap(([x, y], i) => [
+      { key: `x${i}`, label: `${letter(i)} along road`, feet: x, max: PLOT_LIMITS.max, onChange: v => set("corners", i, [v, y]) },
+      { key: `y${i}`, label: `${letter(i)} from road`, feet: y, max: PLOT_LIMITS.max, onChange: v => set("corners", i, [x, v]) },
+    ])
+    : [
+      ...shape.sides.map((len, i) => ({ key: `s${i}`, label: `Side ${letter(i)}–${letter((i + 1) % n)}${i === 0 ? " (road)" : ""}`, feet: len, max: PLOT_LIMITS.max * 1.5, onChange: v => set("sides", i, v) })),
+      ...shape.diagonals.map((len, i) => ({ key: `d${i}`, label: `Diagonal A–${letter(i + 2)}`, feet: len, max: PLOT_LIMITS.max * 1.5, onChange: v => set("diagonals", i, v) })),
+    ];
+
+  // Sketch, road at the bottom as on the plan
+  const valid = !plotShapeProblem(shape);
+  const sketch = valid && (() => {
+    const xs = corners.map(c => c[0]);
+    const ys = corners.map(c => c[1]);
+    const [minX, maxY] = [Math.min(...xs), Math.max(...ys)];
+    const k = 90 / Math.max(Math.max(...xs) - minX, maxY - Math.min(...ys));
+    return corners.map(([x, y]) => [12 + (x - minX) * k, 12 + (maxY - y) * k]);
+  })();
+
+  return (
+    <div>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+        {fields.map(f => <LengthInput key={f.key} label={f.label} units={units} fine feet={f.feet} min={0} max={f.max} onChange={f.onChange} />)}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 10 }}>
+        {[
+          { label: "+ Corner", onClick: addCorner, enabled: valid && n < SHAPE_CORNERS.max },
+          { label: "− Corner", onClick: removeCorner, enabled: valid && n > SHAPE_CORNERS.min },
+        ].map(b => (
+          <button key={b.label} onClick={b.onClick} disabled={!b.enabled} style={{
+            background: "transparent", border: "1px solid rgba(212,165,116,0.2)", borderRadius: 4, padding: "5px 10px",
+            color: "#d4a574", cursor: b.enabled ? "pointer" : "default", fontSize: 10, fontFamily: "'Outfit'", opacity: b.enabled ? 1 : 0.35,
+          }}>{b.label}</button>
+        ))}
+        {sketch && (
+          <svg viewBox="0 0 114 114" style={{ width: 76, height: 76, marginLeft: "auto" }}>
+            <polygon points={sketch.map(p => p.join(",")).join(" ")} fill="rgba(212,165,116,0.08)" stroke="#d4a574" strokeWidth="1" />
+            {sketch.map(([x, y], i) => (
+              <text key={i} x={x} y={y + (i < 2 ? 10 : -3)} textAnchor="middle" fontSize="9" fill="rgba(237,230,218,0.5)" fontFamily="'JetBrains Mono'">{letter(i)}</text>
+            ))}
+          </svg>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function TextInput({ label, value, placeholder, onChange }) {
+  return (
+    <div>
+      <label style={{ fontSize: 9, letterSpacing: 1, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'", display: "block", marginBottom: 4 }}>{label}</label>
+      <input type="text" value={value} placeholder={placeholder} onChange={e => onChange(e.target.value)}
+        style={{
+          width: "100%", padding: "9px 10px", background: "rgba(237,230,218,0.03)", border: "1px solid rgba(212,165,116,0.1)",
+          borderRadius: 4, color: "#ede6da", fontFamily: "'Outfit'", fontSize: 12, outline: "none",
+        }}
+        onFocus={e => e.target.style.borderColor = "rgba(212,165,116,0.3)"}
+        onBlur={e => e.target.style.borderColor = "rgba(212,165,116,0.1)"}
+      />
+    </div>
+  );
+}
+
+function ActionBtn({ onClick, label, primary }) {
+  return (
+    <button onClick={onClick} style={{
+      background: primary ? "rgba(212,165,116,0.12)" : "transparent",
+      border: `1px solid rgba(212,165,116,${primary ? 0.3 : 0.15})`, borderRadius: 5,
+      padding: "7px 14px", color: "#d4a574", cursor: "pointer", fontSize: 11, fontFamily: "'Outfit'", fontWeight: primary ? 600 : 500,
+    }}>{label}</button>
+  );
+}
+
 function InfoBar({ text }) {
   return (
     <div style={{
@@ -1089,7 +4368,7 @@ function FacingBtn({ active, onClick, icon, label, rank, desc }) {
     }}>
       <div style={{ fontSize: 20, marginBottom: 2 }}>{icon}</div>
       <div style={{ fontSize: 12, fontWeight: 600 }}>{label}</div>
-      <div style={{ fontSize: 8, marginTop: 3, fontFamily: "'JetBrains Mono'", color: rank <= 2 ? "rgba(107,159,113,0.6)" : "rgba(237,230,218,0.25)" }}>
+      <div style={{ fontSize: 8, marginTop: 3, fontFamily: "'JetBrains Mono'", color: rank <= 3 ? "rgba(107,159,113,0.6)" : "rgba(237,230,218,0.25)" }}>
         #{rank} Vastu
       </div>
     </button>
@@ -1145,3 +4424,43 @@ function Toggle({ label, active, onClick, badge }) {
     </button>
   );
 }
+
+// The plan's figures against the municipal rule set, setbacks in feet;
+// breaches show red
+function BylawBar({ rules, bylaws, setback, units }) {
+  const items = [
+    { l: "SETBACKS", v: ["front", "rear", "left", "right"].map(k => units.length(setback[k])).join(" / ") },
+    { l: "COVERAGE", v: `${Math.round(bylaws.coverage * 100)}%`, limit: rules.coverage, max: rules.coverage != null && `${Math.round(rules.coverage * 100)}%`, value: bylaws.coverage },
+    { l: "FAR", v: bylaws.far.toFixed(2), limit: rules.far, max: rules.far != null && rules.far.toFixed(2), value: bylaws.far },
+    { l: "HEIGHT", v: units.length(bylaws.height), limit: rules.maxHeight, max: rules.maxHeight != null && units.length(rules.maxHeight), value: bylaws.height },
+  ];
+  return (
+    <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "baseline", marginBottom: 14, padding: "8px 12px", background: "rgba(237,230,218,0.02)", border: "1px solid rgba(212,165,116,0.08)", borderRadius: 5 }}>
+      <span style={{ fontSize: 9, letterSpacing: 2, color: "rgba(237,230,218,0.35)", fontFamily: "'JetBrains Mono'" }}>{rules.name.toUpperCase()}</span>
+      {items.map(it => {
+        const breach = it.limit != null && it.value > it.limit + 1e-9;
+        return (
+          <span key={it.l} style={{ fontSize: 10, fontFamily: "'JetBrains Mono'", color: breach ? "#c46b5b" : "rgba(237,230,218,0.55)" }}>
+            <span style={{ fontSize: 8, letterSpacing: 1, color: "rgba(237,230,218,0.3)", marginRight: 5 }}>{it.l}</span>
+            {it.v}{it.max && <span style={{ color: "rgba(237,230,218,0.3)" }}> / {it.max}</span>}{it.limit != null && (breach ? " ✗" : " ✓")}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+function IssueList({ title, tone, items }) {
+  const color = tone === "error" ? "196,107,91" : "212,165,116";
+  return (
+    <div style={{ marginBottom: 14 }}>
+      <div style={{ fontSize: 9, letterSpacing: 3, color: `rgba(${color},0.7)`, fontFamily: "'JetBrains Mono'", marginBottom: 6 }}>{title}</div>
+      {items.map((item, i) => (
+        <div key={i} style={{
+          padding: "6px 10px", background: `rgba(${color},0.05)`, borderLeft: `2px solid rgba(${color},0.35)`,
+          borderRadius: "0 4px 4px 0", marginBottom: 3, fontSize: 10, color: "rgba(237,230,218,0.55)", lineHeight: 1.5,
+        }}>{item.text}</div>
+      ))}
+    </div>
+  );
+}